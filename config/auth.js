@@ -0,0 +1,31 @@
+// Authentication configuration, read from the environment
+//
+//   JWT_SECRET                     signs access tokens; required, at least 32 characters
+//   ACCESS_TOKEN_TTL               access token lifetime, e.g. 15m or 1h (default 15m)
+//   REFRESH_TOKEN_TTL_DAYS         refresh token lifetime in days (default 30)
+//   PASSWORD_RESET_TTL_MINUTES     how long a reset link works (default 60)
+//   EMAIL_VERIFICATION_TTL_HOURS   how long a verification link works (default 48)
+//   APP_URL                        frontend base URL used in emailed links (default http://localhost:5173)
+
+export const MIN_JWT_SECRET_LENGTH = 32;
+export const MIN_PASSWORD_LENGTH = 8;
+
+export const authConfig = {
+    jwtSecret: process.env.JWT_SECRET,
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    passwordResetTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+    emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+    appUrl: (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '')
+};
+
+// Why the configured secret cannot be used, or null when it is fine
+export const getJwtSecretProblem = (secret = authConfig.jwtSecret) => {
+    if (!secret) {
+        return 'JWT_SECRET is not set';
+    }
+    if (secret === 'fallback-secret' || secret.length < MIN_JWT_SECRET_LENGTH) {
+        return `JWT_SECRET must be a random value of at least ${MIN_JWT_SECRET_LENGTH} characters`;
+    }
+    return null;
+};
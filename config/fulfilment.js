@@ -0,0 +1,29 @@
+// Fulfilment configuration, read from the environment
+//
+//   PICKUP_OPENING_TIME       first pickup slot of the day, HH:MM server local time (default 11:00)
+//   PICKUP_CLOSING_TIME       pickup counter closes at, HH:MM (default 15:00)
+//   PICKUP_SLOT_MINUTES       slot length (default 15)
+//   PICKUP_SLOT_CAPACITY      orders per slot unless overridden per slot (default 20)
+//   PICKUP_MIN_LEAD_MINUTES   how far ahead a slot must start to be bookable (default 10)
+
+const parseInteger = (value, fallback) => {
+    const number = parseInt(value);
+    return Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+export const FULFILMENT_TYPES = ['pickup', 'desk', 'delivery'];
+
+// Address fields each fulfilment type needs
+export const REQUIRED_ADDRESS_FIELDS = {
+    pickup: [],
+    desk: ['firstName', 'lastName', 'phone', 'building', 'floor', 'desk'],
+    delivery: ['firstName', 'lastName', 'email', 'street', 'city', 'state', 'zipcode', 'country', 'phone']
+};
+
+export const pickupConfig = {
+    openingTime: process.env.PICKUP_OPENING_TIME || '11:00',
+    closingTime: process.env.PICKUP_CLOSING_TIME || '15:00',
+    slotMinutes: parseInteger(process.env.PICKUP_SLOT_MINUTES, 15) || 15,
+    slotCapacity: parseInteger(process.env.PICKUP_SLOT_CAPACITY, 20),
+    minLeadMinutes: parseInteger(process.env.PICKUP_MIN_LEAD_MINUTES, 10)
+};
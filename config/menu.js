@@ -0,0 +1,26 @@
+// Menu service windows, read from the environment as HH:MM-HH:MM in server
+// local time, e.g. LUNCH_HOURS=11:30-14:30
+
+const parseWindow = (value, fallback) => {
+    const match = /^(\d{2}:\d{2})-(\d{2}:\d{2})$/.exec(value || '');
+    return match ? { start: match[1], end: match[2] } : fallback;
+};
+
+export const SERVICE_PERIODS = ['breakfast', 'lunch', 'dinner'];
+
+export const serviceWindows = {
+    breakfast: parseWindow(process.env.BREAKFAST_HOURS, { start: '07:00', end: '10:30' }),
+    lunch: parseWindow(process.env.LUNCH_HOURS, { start: '11:30', end: '14:30' }),
+    dinner: parseWindow(process.env.DINNER_HOURS, { start: '18:00', end: '21:00' })
+};
+
+// Allergens follow the 14 major allergens that must be declared in the EU/UK
+export const ALLERGENS = [
+    'gluten', 'crustaceans', 'eggs', 'fish', 'peanuts', 'soybeans', 'milk',
+    'tree-nuts', 'celery', 'mustard', 'sesame', 'sulphites', 'lupin', 'molluscs'
+];
+
+export const DIETARY_TAGS = ['vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'nut-free', 'halal', 'kosher'];
+
+// Most portions of one dish per order, unless the dish sets its own maxQuantity
+export const MAX_ITEM_QUANTITY = parseInt(process.env.MAX_ITEM_QUANTITY) || 20;
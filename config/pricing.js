@@ -0,0 +1,34 @@
+// Pricing configuration, read from the environment
+//
+//   DELIVERY_FEE              flat home delivery fee (default 2)
+//   DESK_DELIVERY_FEE         fee for delivery to a desk on site (default 0)
+//   FREE_DELIVERY_THRESHOLD   waive the delivery fee when the discounted subtotal reaches this amount
+//   TAX_RATE                  default tax rate as a fraction, e.g. 0.08 (default 0)
+//   TAX_RATES_BY_CATEGORY     JSON map of category to rate, e.g. {"Cake":0.12,"Salad":0}
+
+const parseNumber = (value, fallback) => {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+};
+
+const parseJson = (value, fallback) => {
+    if (!value) return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        console.error('Invalid JSON in pricing configuration:', value);
+        return fallback;
+    }
+};
+
+export const pricingConfig = {
+    delivery: {
+        fee: parseNumber(process.env.DELIVERY_FEE, 2),
+        deskFee: parseNumber(process.env.DESK_DELIVERY_FEE, 0),
+        freeAbove: parseNumber(process.env.FREE_DELIVERY_THRESHOLD, null)
+    },
+    tax: {
+        defaultRate: parseNumber(process.env.TAX_RATE, 0),
+        categoryRates: parseJson(process.env.TAX_RATES_BY_CATEGORY, {})
+    }
+};
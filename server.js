@@ -3,7 +3,27 @@ import cors from 'cors';
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
+import multer from 'multer';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
 import 'dotenv/config';
+import { ORDER_STATUSES, CUSTOMER_CANCELLABLE_STATUSES, canTransition } from './utils/orderStatus.js';
+import { publishOrderCreated, publishOrderUpdated, streamOrderEvents } from './utils/orderEvents.js';
+import { PAYMENT_EVENTS, PAYMENT_CURRENCY, getPaymentProvider, getPaymentConfigProblem, isOnlinePaymentEnabled } from './utils/payments/index.js';
+import { evaluateCoupon } from './utils/coupons.js';
+import { calculatePricing, calculateSubtotal, roundMoney } from './utils/pricing.js';
+import { FULFILMENT_TYPES, REQUIRED_ADDRESS_FIELDS, pickupConfig } from './config/fulfilment.js';
+import { getSlotStarts, getSlotEnd, isSlotStart, isSlotBookable } from './utils/pickupSlots.js';
+import { parseDateKey, toDateKey } from './utils/dates.js';
+import { authConfig, getJwtSecretProblem, MIN_PASSWORD_LENGTH } from './config/auth.js';
+import { sendMail, getMailConfigProblem } from './utils/mailer/index.js';
+import { SERVICE_PERIODS, ALLERGENS, DIETARY_TAGS, MAX_ITEM_QUANTITY } from './config/menu.js';
+import {
+    buildLineKey, MAX_INSTRUCTIONS_LENGTH, normalizeInstructions, normalizeSelections, resolveSelections, validateOptionGroups
+} from './utils/customizations.js';
+import { buildScheduleQuery, getServicePeriod, isOfferedAt } from './utils/menuSchedule.js';
+import { validate } from './utils/validate.js';
 
 const app = express();
 const port = process.env.PORT || 4000;
@@ -16,30 +36,538 @@ app.use(cors({
     credentials: true
 }));
 
-app.use(express.json());
+// Keep the raw body around for payment webhook signature checks
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString();
+    }
+}));
+
+// Uploaded food images
+const UPLOADS_DIR = 'uploads';
+fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+app.use('/images', express.static(UPLOADS_DIR));
 
 // Simple User Model
+const USER_ROLES = ['customer', 'kitchen', 'cashier', 'admin'];
+
+// Accounts that are made admins, so a fresh deployment has someone who can
+// assign the other roles. Comma-separated, e.g. ADMIN_EMAILS=ops@example.com.
+// Only verified addresses are promoted, so registering a listed address is
+// not enough.
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim()).filter(Boolean);
+
+// Every address field any fulfilment type asks for
+const ADDRESS_FIELDS = [...new Set(Object.values(REQUIRED_ADDRESS_FIELDS).flat())];
+const MAX_SAVED_ADDRESSES = 20;
+
+// Saved addresses; a desk location and a street address use different fields
+const savedAddressSchema = new mongoose.Schema({
+    label: { type: String, trim: true },
+    ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, { type: String, trim: true }]))
+});
+
 const userSchema = new mongoose.Schema({
     name: String,
     email: { type: String, unique: true },
     password: String,
-    cartData: { type: Object, default: {} }
+    role: { type: String, enum: USER_ROLES, default: 'customer' },
+    cartData: { type: Object, default: {} },
+    allergenPreferences: { type: [{ type: String, enum: ALLERGENS }], default: [] },
+    dietaryPreferences: { type: [{ type: String, enum: DIETARY_TAGS }], default: [] },
+    walletBalance: { type: Number, default: 0, min: 0 },
+    favourites: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Food' }], default: [] },
+    // Bumped to revoke every access token issued so far (log out all devices)
+    tokenVersion: { type: Number, default: 0 },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: Date,
+    phone: { type: String, trim: true },
+    addresses: { type: [savedAddressSchema], default: [] },
+    defaultAddressId: { type: mongoose.Schema.Types.ObjectId, default: null }
 }, { minimize: false, timestamps: true });
 
 const User = mongoose.model('User', userSchema);
 
+// Called once a user has proven their address
+const promoteListedAdmin = async (user) => {
+    if (!user?.emailVerified || user.role === 'admin' || !ADMIN_EMAILS.includes(user.email)) {
+        return user;
+    }
+    console.log('🛡️  Promoting verified ADMIN_EMAILS account:', user.email);
+    return User.findByIdAndUpdate(user._id, { role: 'admin' }, { new: true });
+};
+
+// Refresh tokens, stored as hashes. Every refresh replaces the token with a
+// new one of the same family; a used token showing up again means it was
+// copied, so its whole family is revoked. Expired tokens are removed by MongoDB.
+const refreshTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true, index: true },
+    usedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use tokens sent by email for password resets and address
+// verification, stored as hashes. Expired tokens are removed by MongoDB.
+const ACCOUNT_TOKEN_TYPES = ['password_reset', 'email_verification'];
+
+const accountTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, enum: ACCOUNT_TOKEN_TYPES, required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    usedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+accountTokenSchema.index({ userId: 1, type: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AccountToken = mongoose.model('AccountToken', accountTokenSchema);
+
+// Issue a new token, replacing any earlier unused one of the same type
+const createAccountToken = async (userId, type, ttlMinutes) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    await AccountToken.deleteMany({ userId, type });
+    await AccountToken.create({
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+    return token;
+};
+
+// Use up a token; returns it, or null if it is unknown, used or expired
+const consumeAccountToken = (token, type) => {
+    const now = new Date();
+    return AccountToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), type, usedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now },
+        { new: true }
+    );
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await createAccountToken(user._id, 'email_verification', authConfig.emailVerificationTtlHours * 60);
+    return sendMail({
+        to: user.email,
+        subject: 'Please verify your email address',
+        text: [
+            `Hi ${user.name},`,
+            '',
+            'Please confirm your email address by opening this link:',
+            `${authConfig.appUrl}/verify-email?token=${token}`,
+            '',
+            `The link expires in ${authConfig.emailVerificationTtlHours} hours.`
+        ].join('\n')
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await createAccountToken(user._id, 'password_reset', authConfig.passwordResetTtlMinutes);
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: [
+            `Hi ${user.name},`,
+            '',
+            'Someone asked to reset the password of your account. If it was you, open this link:',
+            `${authConfig.appUrl}/reset-password?token=${token}`,
+            '',
+            `The link expires in ${authConfig.passwordResetTtlMinutes} minutes and works once.`,
+            'If you did not ask for this, you can ignore this email.'
+        ].join('\n')
+    });
+};
+
+// Carts of visitors who have not signed in, found by the x-guest-token header.
+// Unused carts are removed by MongoDB once they expire.
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+const guestCartSchema = new mongoose.Schema({
+    token: { type: String, required: true, unique: true },
+    cartData: { type: Object, default: {} },
+    expiresAt: { type: Date, required: true }
+}, { minimize: false, timestamps: true });
+
+guestCartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const GuestCart = mongoose.model('GuestCart', guestCartSchema);
+
+const guestCartExpiry = () => new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Wallet ledger: one entry per balance change
+const walletTransactionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    type: { type: String, enum: ['topup', 'debit', 'refund'], required: true },
+    amount: { type: Number, required: true },
+    balanceAfter: { type: Number, required: true },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    note: String,
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+
+// Change a wallet balance and record it in the ledger. Debits only apply if
+// the balance covers them; returns null when it does not.
+const adjustWallet = async (userId, amount, { type, orderId, note, createdBy, session }) => {
+    // The balance change and its ledger entry commit together; callers that
+    // already run a transaction pass their session instead
+    if (!session) {
+        const ownSession = await mongoose.startSession();
+        try {
+            let entry = null;
+            await ownSession.withTransaction(async () => {
+                entry = await adjustWallet(userId, amount, { type, orderId, note, createdBy, session: ownSession });
+            });
+            return entry;
+        } finally {
+            await ownSession.endSession();
+        }
+    }
+
+    amount = roundMoney(amount);
+
+    const filter = { _id: userId };
+    if (amount < 0) {
+        filter.walletBalance = { $gte: -amount };
+    }
+
+    const user = await User.findOneAndUpdate(filter, { $inc: { walletBalance: amount } }, { new: true, session });
+    if (!user) {
+        return null;
+    }
+
+    const [entry] = await WalletTransaction.create([{
+        userId,
+        type,
+        amount,
+        balanceAfter: roundMoney(user.walletBalance),
+        orderId,
+        note,
+        createdBy
+    }], { session });
+    return entry;
+};
+
+// Category Model
+const categorySchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true },
+    displayOrder: { type: Number, default: 0 },
+    image: String,
+    icon: String,
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+const Category = mongoose.model('Category', categorySchema);
+
 // Simple Food Model
 const foodSchema = new mongoose.Schema({
     name: String,
     description: String,
     price: Number,
     image: String,
-    category: String,
-    isAvailable: { type: Boolean, default: true }
+    category: {
+        type: String,
+        validate: {
+            // Only checked when the category is set, so existing items stay
+            // editable if their category is later deactivated
+            validator: async function (value) {
+                if (this instanceof mongoose.Document && !this.isNew && !this.isModified('category')) {
+                    return true;
+                }
+                return Boolean(await Category.exists({ name: value, isActive: true }));
+            },
+            message: 'Unknown or inactive category: {VALUE}'
+        }
+    },
+    isAvailable: { type: Boolean, default: true },
+    isDeleted: { type: Boolean, default: false },
+    deletedAt: Date,
+    // Daily stock; null dailyPortions means the item is not stock-tracked
+    dailyPortions: { type: Number, min: 0, default: null },
+    portionsRemaining: { type: Number, default: null },
+    stockDate: String,
+    soldOut: { type: Boolean, default: false },
+    // Most portions per order; null falls back to MAX_ITEM_QUANTITY
+    maxQuantity: { type: Number, min: 1, default: null },
+    allergens: { type: [{ type: String, enum: ALLERGENS }], default: [] },
+    dietaryTags: { type: [{ type: String, enum: DIETARY_TAGS }], default: [] },
+    // Sizes, add-ons etc. (see utils/customizations.js)
+    optionGroups: [{
+        _id: false,
+        name: { type: String, required: true },
+        required: { type: Boolean, default: false },
+        minSelections: { type: Number, default: 0 },
+        maxSelections: Number,
+        options: [{
+            _id: false,
+            name: { type: String, required: true },
+            priceDelta: { type: Number, default: 0 },
+            isAvailable: { type: Boolean, default: true }
+        }]
+    }],
+    // Per serving; calories in kcal, the rest in grams
+    nutrition: {
+        calories: { type: Number, min: 0 },
+        protein: { type: Number, min: 0 },
+        carbs: { type: Number, min: 0 },
+        fat: { type: Number, min: 0 },
+        fiber: { type: Number, min: 0 },
+        sugar: { type: Number, min: 0 }
+    },
+    // Portions ordered over all time, for sorting by popularity
+    orderCount: { type: Number, default: 0 },
+    // Aggregated from visible reviews (see refreshFoodRating)
+    ratingAverage: { type: Number, default: 0 },
+    ratingCount: { type: Number, default: 0 },
+    // When the item is on the menu; empty lists mean always (see utils/menuSchedule.js)
+    schedule: {
+        weekdays: { type: [{ type: Number, min: 0, max: 6 }], default: [] },
+        dates: { type: [String], default: [] },
+        periods: { type: [{ type: String, enum: SERVICE_PERIODS }], default: [] }
+    }
 }, { timestamps: true });
 
+// Menu search and listing
+foodSchema.index({ name: 'text', description: 'text' });
+foodSchema.index({ category: 1, price: 1 });
+foodSchema.index({ orderCount: -1 });
+foodSchema.index({ ratingAverage: -1, ratingCount: -1 });
+
 const Food = mongoose.model('Food', foodSchema);
 
+const NUTRITION_FIELDS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar'];
+
+// Accept lists as arrays or comma-separated strings (query strings, multipart forms)
+const parseList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+};
+
+// Allergens in the item the user avoids, and diets the user follows that the item is not tagged for
+const findDietaryConflicts = (food, user) => ({
+    allergens: (food.allergens || []).filter(allergen => user.allergenPreferences?.includes(allergen)),
+    diets: (user.dietaryPreferences || []).filter(diet => !food.dietaryTags?.includes(diet))
+});
+
+// Sample menu created when the food collection is empty
+const SAMPLE_FOODS = [
+    {
+        name: 'Margherita Pizza',
+        description: 'Classic pizza with tomato sauce and mozzarella cheese',
+        price: 12.99,
+        category: 'Pizza',
+        image: 'pizza1.jpg',
+        isAvailable: true
+    },
+    {
+        name: 'Caesar Salad',
+        description: 'Fresh romaine lettuce with caesar dressing and croutons',
+        price: 8.99,
+        category: 'Salad',
+        image: 'salad1.jpg',
+        isAvailable: true
+    },
+    {
+        name: 'Chicken Sandwich',
+        description: 'Grilled chicken breast with lettuce and tomato',
+        price: 10.99,
+        category: 'Sandwich',
+        image: 'sandwich1.jpg',
+        isAvailable: true
+    }
+];
+
+// Create categories on first run from the sample data and any categories
+// already used by food items
+const ensureCategories = async () => {
+    if (await Category.estimatedDocumentCount() > 0) return;
+
+    const usedCategories = await Food.distinct('category');
+    const names = [...new Set([...SAMPLE_FOODS.map(food => food.category), ...usedCategories])].filter(Boolean);
+
+    await Category.insertMany(
+        names.map((name, index) => ({ name, displayOrder: index })),
+        { ordered: false }
+    ).catch(error => {
+        // Another request seeded them first
+        if (error.code !== 11000) throw error;
+    });
+    console.log('✅ Categories created:', names.join(', '));
+};
+
+// Sort options for the food list; _id keeps pagination stable on ties
+const FOOD_SORTS = {
+    relevance: { score: { $meta: 'textScore' }, _id: 1 },
+    name: { name: 1, _id: 1 },
+    '-name': { name: -1, _id: 1 },
+    price: { price: 1, _id: 1 },
+    '-price': { price: -1, _id: 1 },
+    popularity: { orderCount: -1, _id: 1 },
+    rating: { ratingAverage: -1, ratingCount: -1, _id: 1 }
+};
+
+// Keep the popularity counter in step with placed (sign 1) and cancelled (sign -1) orders
+const recordPopularity = (items, sign = 1, { session } = {}) => {
+    const operations = [...sumQuantitiesByFood(items)].map(([foodId, quantity]) => ({
+        updateOne: { filter: { _id: foodId }, update: { $inc: { orderCount: sign * quantity } } }
+    }));
+    return operations.length > 0 ? Food.bulkWrite(operations, { session }) : null;
+};
+
+// Start each day with a full set of portions. Items that sold out become
+// available again; items switched off by hand stay off.
+let lastStockResetDate = null;
+const resetDailyStock = async () => {
+    const today = toDateKey(new Date());
+    if (lastStockResetDate === today) return;
+
+    await Food.updateMany(
+        { dailyPortions: { $ne: null }, stockDate: { $ne: today } },
+        [{
+            $set: {
+                portionsRemaining: '$dailyPortions',
+                stockDate: today,
+                isAvailable: { $cond: ['$soldOut', true, '$isAvailable'] },
+                soldOut: false
+            }
+        }]
+    );
+    lastStockResetDate = today;
+};
+
+// Portions left today, or null for items without stock tracking
+const getPortionsLeft = (food) => {
+    if (food.dailyPortions == null) return null;
+    return food.stockDate === toDateKey(new Date()) ? food.portionsRemaining : food.dailyPortions;
+};
+
+// Total quantity per food across order or cart items
+const sumQuantitiesByFood = (items) => {
+    const quantities = new Map();
+    for (const item of items) {
+        const foodId = item.foodId.toString();
+        quantities.set(foodId, (quantities.get(foodId) || 0) + item.quantity);
+    }
+    return quantities;
+};
+
+// Put portions back, e.g. for a cancelled order. Portions from a previous
+// day are not restored since the stock has been reset since.
+const releaseStock = async (items, stockDate = toDateKey(new Date()), { session } = {}) => {
+    for (const [foodId, quantity] of sumQuantitiesByFood(items)) {
+        await Food.updateOne(
+            { _id: foodId, dailyPortions: { $ne: null }, stockDate },
+            [{
+                $set: {
+                    portionsRemaining: { $add: ['$portionsRemaining', quantity] },
+                    isAvailable: { $cond: ['$soldOut', true, '$isAvailable'] },
+                    soldOut: false
+                }
+            }],
+            { session }
+        );
+    }
+};
+
+// Take portions for an order. Items run out atomically: the decrement only
+// applies while enough portions are left, and an item that reaches zero is
+// switched off. Returns the name of the first item that ran short, after
+// putting back anything already taken, or null on success.
+const reserveStock = async (items, { session } = {}) => {
+    await resetDailyStock();
+
+    const reserved = [];
+    const names = new Map(items.map(item => [item.foodId.toString(), item.name]));
+
+    for (const [foodId, quantity] of sumQuantitiesByFood(items)) {
+        const food = await Food.findOneAndUpdate(
+            { _id: foodId, dailyPortions: { $ne: null }, portionsRemaining: { $gte: quantity } },
+            { $inc: { portionsRemaining: -quantity } },
+            { new: true, session }
+        );
+
+        if (!food) {
+            // Untracked items never run out
+            if (!await Food.exists({ _id: foodId, dailyPortions: { $ne: null } }).session(session ?? null)) continue;
+
+            await releaseStock(reserved, undefined, { session });
+            return names.get(foodId);
+        }
+
+        reserved.push({ foodId, quantity });
+        if (food.portionsRemaining <= 0) {
+            await Food.updateOne({ _id: foodId, portionsRemaining: { $lte: 0 } }, { isAvailable: false, soldOut: true }, { session });
+        }
+    }
+    return null;
+};
+
+// Coupon Model
+const couponSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: String,
+    discountType: { type: String, enum: ['percentage', 'fixed'], required: true },
+    value: { type: Number, required: true, min: 0 },
+    maxDiscount: { type: Number, min: 0, default: null },
+    minOrderValue: { type: Number, min: 0, default: 0 },
+    categories: { type: [String], default: [] },
+    startsAt: Date,
+    expiresAt: Date,
+    usageLimit: { type: Number, min: 0, default: null },
+    perUserLimit: { type: Number, min: 0, default: null },
+    usedCount: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true }
+}, { timestamps: true });
+
+couponSchema.path('value').validate(function (value) {
+    return this.discountType !== 'percentage' || value <= 100;
+}, 'Percentage discount cannot exceed 100');
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+// Pickup slot bookings. A document only exists once a slot has been booked
+// or given its own capacity; otherwise the configured default applies.
+const pickupSlotSchema = new mongoose.Schema({
+    start: { type: Date, required: true, unique: true },
+    capacity: { type: Number, min: 0, default: null },
+    booked: { type: Number, default: 0 }
+}, { timestamps: true });
+
+const PickupSlot = mongoose.model('PickupSlot', pickupSlotSchema);
+
+// Take one place in a pickup slot. Returns false when the slot is full.
+const bookPickupSlot = async (start, { session } = {}) => {
+    // Created outside any transaction: a duplicate key error would abort it
+    try {
+        await PickupSlot.updateOne({ start }, { $setOnInsert: { booked: 0 } }, { upsert: true });
+    } catch (error) {
+        // A concurrent booking created the slot first
+        if (error.code !== 11000) throw error;
+    }
+
+    const slot = await PickupSlot.findOneAndUpdate(
+        { start, $expr: { $lt: ['$booked', { $ifNull: ['$capacity', pickupConfig.slotCapacity] }] } },
+        { $inc: { booked: 1 } },
+        { new: true, session }
+    );
+    return Boolean(slot);
+};
+
+const releasePickupSlot = (start) => {
+    return PickupSlot.updateOne({ start, booked: { $gt: 0 } }, { $inc: { booked: -1 } });
+};
+
 // Simple Order Model
 const orderSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -49,11 +577,34 @@ const orderSchema = new mongoose.Schema({
         name: String,
         price: Number,
         quantity: Number,
-        image: String
+        image: String,
+        category: String,
+        options: [{
+            _id: false,
+            group: String,
+            name: String,
+            priceDelta: Number
+        }],
+        instructions: String
     }],
     amount: { type: Number, required: true },
-    deliveryFee: { type: Number, default: 2 },
+    discount: { type: Number, default: 0 },
+    coupon: {
+        code: String,
+        discountType: String,
+        value: Number
+    },
+    tax: { type: Number, default: 0 },
+    taxBreakdown: [{
+        _id: false,
+        category: String,
+        rate: Number,
+        taxableAmount: Number,
+        tax: Number
+    }],
+    deliveryFee: { type: Number, default: 0 },
     totalAmount: { type: Number, required: true },
+    fulfilmentType: { type: String, enum: FULFILMENT_TYPES, default: 'delivery' },
     address: {
         firstName: String,
         lastName: String,
@@ -63,19 +614,44 @@ const orderSchema = new mongoose.Schema({
         state: String,
         zipcode: String,
         country: String,
-        phone: String
+        phone: String,
+        building: String,
+        floor: String,
+        desk: String
+    },
+    pickupSlot: {
+        start: Date,
+        end: Date
     },
     status: {
         type: String,
-        enum: ['Food Processing', 'Confirmed', 'Preparing', 'Out for delivery', 'Delivered', 'Cancelled'],
+        enum: ORDER_STATUSES,
         default: 'Food Processing'
     },
+    statusHistory: [{
+        status: { type: String, enum: ORDER_STATUSES },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        changedByRole: String,
+        note: String,
+        changedAt: { type: Date, default: Date.now }
+    }],
     paymentStatus: {
         type: String,
-        enum: ['Pending', 'Paid', 'Failed'],
+        enum: ['Pending', 'Paid', 'Failed', 'Refund Pending', 'Refunded', 'Cancelled'],
         default: 'Pending'
     },
-    paymentId: String
+    paymentMethod: { type: String, enum: ['online', 'wallet'], default: 'online' },
+    paymentProvider: String,
+    paymentId: String,
+    // Handed back when a placement is retried with the same idempotency key
+    paymentClientSecret: { type: String, select: false },
+    // Client-supplied Idempotency-Key header, unique per user
+    idempotencyKey: String,
+    cancellation: {
+        reason: String,
+        cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        cancelledAt: Date
+    }
 }, { timestamps: true });
 
 // Generate order number before saving
@@ -87,644 +663,4009 @@ orderSchema.pre('save', async function (next) {
     next();
 });
 
+orderSchema.index(
+    { userId: 1, idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
 const Order = mongoose.model('Order', orderSchema);
 
-// Helper function
-const createToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET || 'fallback-secret', { expiresIn: '7d' });
+// Reviews of dishes from delivered orders, one per dish per order
+const reviewSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    foodId: { type: mongoose.Schema.Types.ObjectId, ref: 'Food', required: true },
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    comment: { type: String, trim: true, maxlength: 1000, default: '' },
+    // Hidden reviews are kept for the record but leave the food's rating
+    isHidden: { type: Boolean, default: false },
+    moderation: {
+        reason: String,
+        moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        moderatedAt: Date
+    }
+}, { timestamps: true });
+
+reviewSchema.index({ orderId: 1, foodId: 1 }, { unique: true });
+reviewSchema.index({ foodId: 1, isHidden: 1, createdAt: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+// Recompute a food's rating from its visible reviews. Recounting instead of
+// $inc keeps the numbers right when reviews are hidden and shown again.
+const refreshFoodRating = async (foodId) => {
+    const [stats] = await Review.aggregate([
+        { $match: { foodId: new mongoose.Types.ObjectId(foodId), isHidden: false } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+    await Food.updateOne({ _id: foodId }, {
+        ratingAverage: stats ? Math.round(stats.average * 10) / 10 : 0,
+        ratingCount: stats?.count || 0
+    });
 };
 
-// Routes
-app.get('/', (req, res) => {
-    res.json({
-        success: true,
-        message: 'Food Delivery API is running!',
-        endpoints: {
-            // Food endpoints
-            'GET /api/food/list': 'Get all food items',
-            'GET /api/food/categories': 'Get food categories',
+// Find an order owned by the user, by _id or orderNumber
+const findUserOrder = (userId, orderRef) => {
+    const refs = [{ orderNumber: orderRef }];
+    if (mongoose.isValidObjectId(orderRef)) {
+        refs.push({ _id: orderRef });
+    }
+    return Order.findOne({ userId, $or: refs });
+};
 
-            // User endpoints
-            'POST /api/user/register': 'Register new user',
-            'POST /api/user/login': 'Login user',
+// Look up a coupon by code and check it against the given cart items.
+// Per-user usage counts orders that were not cancelled.
+const applyCoupon = async (code, userId, items, subtotal) => {
+    const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+    // Guests are checked against the per-user limit once they sign in and order
+    const userUsageCount = coupon?.perUserLimit != null && userId
+        ? await Order.countDocuments({ userId, 'coupon.code': coupon.code, status: { $ne: 'Cancelled' } })
+        : 0;
 
-            // Cart endpoints (require authentication)
-            'POST /api/cart/add': 'Add item to cart',
-            'POST /api/cart/remove': 'Remove item from cart',
-            'POST /api/cart/get': 'Get cart contents',
-            'DELETE /api/cart/clear': 'Clear cart',
+    return { coupon, ...evaluateCoupon(coupon, { items, subtotal, userUsageCount }) };
+};
 
-            // Order endpoints (require authentication)
-            'POST /api/order/place': 'Place order from cart with delivery address',
-            'POST /api/order/userorders': 'Get user order history with pagination'
-        },
-        note: 'Cart and Order endpoints require authentication token in headers'
-    });
-});
+// Cart lines are stored in User.cartData keyed by line key:
+//   { itemId, quantity, selections, instructions }
+// Older carts stored a bare quantity keyed by food id; those read as plain lines.
+const readCartLines = (cartData) => {
+    return Object.entries(cartData || {})
+        .map(([lineKey, entry]) => (typeof entry === 'number'
+            ? { lineKey, itemId: lineKey, quantity: entry, selections: [], instructions: '' }
+            : { lineKey, selections: [], instructions: '', ...entry }))
+        .filter(line => Number.isInteger(line.quantity) && line.quantity > 0);
+};
 
-// Food routes
-app.get('/api/food/list', async (req, res) => {
-    try {
-        console.log('📋 Food list request received');
+const getMaxQuantity = (food) => food.maxQuantity ?? MAX_ITEM_QUANTITY;
 
-        let foods = await Food.find({});
+// Cart routes serve signed-in users and guests alike (see cartAuthMiddleware)
+const getCartData = (req) => (req.user || req.guestCart).cartData || {};
 
-        // If no foods in database, create sample data
-        if (foods.length === 0) {
-            console.log('No foods found, creating sample data...');
+const saveCartData = (req, cartData) => {
+    return req.user
+        ? User.updateOne({ _id: req.user._id }, { cartData })
+        : GuestCart.updateOne({ _id: req.guestCart._id }, { cartData, expiresAt: guestCartExpiry() });
+};
 
-            const sampleFoods = [
-                {
-                    name: 'Margherita Pizza',
-                    description: 'Classic pizza with tomato sauce and mozzarella cheese',
-                    price: 12.99,
-                    category: 'Pizza',
-                    image: 'pizza1.jpg',
-                    isAvailable: true
-                },
-                {
-                    name: 'Caesar Salad',
-                    description: 'Fresh romaine lettuce with caesar dressing and croutons',
-                    price: 8.99,
-                    category: 'Salad',
-                    image: 'salad1.jpg',
-                    isAvailable: true
-                },
-                {
-                    name: 'Chicken Sandwich',
-                    description: 'Grilled chicken breast with lettuce and tomato',
-                    price: 10.99,
-                    category: 'Sandwich',
-                    image: 'sandwich1.jpg',
-                    isAvailable: true
-                }
-            ];
+// Move a guest cart into a user's cart after sign-in. Quantities of the same
+// line are added up, capped at the per-item limit. Lines for dishes that are
+// gone, unavailable or whose options changed are dropped and reported. The
+// guest cart is deleted once the user's cart is saved.
+const mergeGuestCart = async (userId, guestToken) => {
+    const guestCart = await GuestCart.findOne({ token: guestToken });
+    if (!guestCart) {
+        return null;
+    }
 
-            foods = await Food.insertMany(sampleFoods);
-            console.log('✅ Sample foods created');
+    await resetDailyStock();
+    const user = await User.findById(userId);
+    const cartData = user.cartData || {};
+    const merged = [];
+    const skipped = [];
+
+    for (const line of readCartLines(guestCart.cartData)) {
+        const food = mongoose.isValidObjectId(line.itemId)
+            ? await Food.findOne({ _id: line.itemId, isDeleted: { $ne: true } })
+            : null;
+
+        const reason = !food ? 'No longer on the menu'
+            : !food.isAvailable ? 'Not available right now'
+                : !resolveSelections(food, line.selections).valid ? 'Options are no longer available'
+                    : null;
+        if (reason) {
+            skipped.push({ lineKey: line.lineKey, itemId: line.itemId, name: food?.name, reason });
+            continue;
         }
 
-        console.log(`📊 Returning ${foods.length} food items`);
+        const inCart = readCartLines(cartData)
+            .filter(cartLine => cartLine.itemId === line.itemId)
+            .reduce((sum, cartLine) => sum + cartLine.quantity, 0);
+        const quantity = Math.min(line.quantity, getMaxQuantity(food) - inCart);
+        if (quantity <= 0) {
+            skipped.push({ lineKey: line.lineKey, itemId: line.itemId, name: food.name, reason: `Already at the limit of ${getMaxQuantity(food)}` });
+            continue;
+        }
 
-        res.json({
-            success: true,
-            data: foods,
-            message: `Found ${foods.length} food items`
-        });
-    } catch (error) {
-        console.error('❌ Food list error:', error);
+        const [existingLine] = readCartLines({ [line.lineKey]: cartData[line.lineKey] });
+        cartData[line.lineKey] = {
+            itemId: line.itemId,
+            quantity: (existingLine?.quantity || 0) + quantity,
+            selections: line.selections,
+            instructions: line.instructions,
+            priceAtAdd: existingLine?.priceAtAdd ?? line.priceAtAdd
+        };
+        merged.push({ lineKey: line.lineKey, itemId: line.itemId, name: food.name, quantity });
+    }
 
-        // Fallback response
-        res.json({
-            success: true,
-            data: [
-                {
-                    _id: 'sample1',
-                    name: 'Sample Pizza',
-                    description: 'This is a sample pizza (database error)',
-                    price: 12.99,
-                    category: 'Pizza',
-                    image: 'sample.jpg',
-                    isAvailable: true
-                }
-            ],
-            message: 'Fallback data due to database error'
+    await User.updateOne({ _id: userId }, { cartData });
+    await GuestCart.deleteOne({ _id: guestCart._id });
+    return { merged, skipped };
+};
+
+// Resolve cart entries against the menu and price them. Cart preview and
+// order placement both go through here so their breakdowns always match.
+// Lines whose food is missing or unavailable are returned but not priced.
+const buildCheckout = async (cartData, { userId, couponCode, fulfilmentType, offeredAt = new Date() } = {}) => {
+    await resetDailyStock();
+
+    const lines = [];
+    const foods = new Map();
+
+    for (const line of readCartLines(cartData)) {
+        if (!foods.has(line.itemId)) {
+            const food = mongoose.isValidObjectId(line.itemId) ? await Food.findById(line.itemId) : null;
+            foods.set(line.itemId, food && !food.isDeleted ? food : null);
+        }
+        const food = foods.get(line.itemId);
+
+        // Prices are always recomputed from the current menu
+        const resolved = food ? resolveSelections(food, line.selections) : null;
+        lines.push({
+            ...line,
+            food,
+            options: resolved?.options || [],
+            unitPrice: resolved?.unitPrice,
+            optionErrors: resolved?.errors || []
         });
     }
+
+    // Items outside their menu schedule cannot be ordered. offeredAt is when
+    // the food is served: now, or the booked slot for pickup orders
+    for (const line of lines) {
+        line.isOffered = line.food ? isOfferedAt(line.food, offeredAt) : false;
+    }
+
+    const items = lines
+        .filter(line => line.food?.isAvailable && line.isOffered && line.optionErrors.length === 0)
+        .map(({ lineKey, food, quantity, unitPrice, options, instructions }) => ({
+            lineKey,
+            foodId: food._id,
+            name: food.name,
+            price: unitPrice,
+            quantity,
+            image: food.image,
+            category: food.category,
+            options,
+            instructions
+        }));
+
+    let coupon = null;
+    let discount = 0;
+    let discountCategories = null;
+    if (couponCode && items.length > 0) {
+        const result = await applyCoupon(couponCode, userId, items, calculateSubtotal(items));
+        discount = result.valid ? result.discount : 0;
+        discountCategories = result.valid ? result.eligibleCategories : null;
+        coupon = {
+            code: result.coupon?.code || String(couponCode).trim().toUpperCase(),
+            valid: result.valid,
+            message: result.message,
+            discount,
+            coupon: result.coupon
+        };
+    }
+
+    // Flag lines asking for more than is left today, or more than one order may hold
+    const requested = sumQuantitiesByFood(lines.filter(line => line.food).map(line => ({ foodId: line.food._id, quantity: line.quantity })));
+    for (const line of lines) {
+        const portionsLeft = line.food ? getPortionsLeft(line.food) : null;
+        if (portionsLeft != null && requested.get(line.food._id.toString()) > portionsLeft) {
+            line.stockWarning = portionsLeft > 0 ? `Only ${portionsLeft} left today` : 'Sold out for today';
+            line.portionsLeft = portionsLeft;
+        }
+        if (line.food && requested.get(line.food._id.toString()) > getMaxQuantity(line.food)) {
+            line.quantityError = `At most ${getMaxQuantity(line.food)} per order`;
+        }
+    }
+
+    // Why a line cannot be ordered as it stands, and whether its price moved
+    // since it was added
+    for (const line of lines) {
+        line.status = !line.food ? 'missing'
+            : !line.food.isAvailable ? 'unavailable'
+                : !line.isOffered ? 'unscheduled'
+                    : line.optionErrors.length > 0 ? 'invalid_options'
+                        : line.quantityError ? 'over_limit'
+                            : 'ok';
+        line.isRepriced = line.food != null && line.priceAtAdd != null && line.unitPrice !== line.priceAtAdd;
+    }
+
+    return { lines, coupon, pricing: calculatePricing({ items, discount, discountCategories, fulfilmentType }) };
+};
+
+// Breakdown shape shared by the cart and order responses
+const formatPricing = (pricing) => ({
+    subtotal: pricing.subtotal,
+    discount: pricing.discount,
+    taxBreakdown: pricing.taxBreakdown,
+    tax: pricing.tax,
+    deliveryFee: pricing.deliveryFee,
+    total: pricing.total
 });
 
-app.get('/api/food/categories', (req, res) => {
-    res.json({
-        success: true,
-        data: ['Salad', 'Rolls', 'Deserts', 'Sandwich', 'Cake', 'Pure Veg', 'Pasta', 'Noodles', 'Pizza']
-    });
+// Order address from a saved one; contact details missing from it are taken
+// from the profile
+const savedAddressToOrderAddress = (savedAddress, user) => ({
+    ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, savedAddress[field]])),
+    email: savedAddress.email || user.email,
+    phone: savedAddress.phone || user.phone
 });
 
-// Auth middleware
-const authMiddleware = async (req, res, next) => {
-    try {
-        const token = req.headers.token || req.headers.authorization;
+// Response body for a placed order, also used to replay idempotent retries
+const formatPlacedOrder = (order) => ({
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    coupon: order.coupon?.code ? order.coupon : undefined,
+    pricing: formatPricing({
+        subtotal: order.amount,
+        discount: order.discount,
+        taxBreakdown: order.taxBreakdown,
+        tax: order.tax,
+        deliveryFee: order.deliveryFee,
+        total: order.totalAmount
+    }),
+    totalAmount: order.totalAmount,
+    status: order.status,
+    fulfilmentType: order.fulfilmentType,
+    estimatedDelivery: order.fulfilmentType === 'pickup' ? undefined : '30-45 minutes',
+    pickupSlot: order.pickupSlot?.start ? order.pickupSlot : undefined,
+    items: order.items,
+    address: order.address,
+    payment: {
+        method: order.paymentMethod,
+        status: order.paymentStatus,
+        provider: order.paymentProvider,
+        paymentId: order.paymentId,
+        clientSecret: order.paymentClientSecret
+    }
+});
 
-        if (!token) {
-            return res.status(401).json({
-                success: false,
-                message: 'Access token is required'
-            });
-        }
+// Thrown inside the placement transaction to abort it with a client error
+class PlacementError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret');
-        const user = await User.findById(decoded.id).select('-password');
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Count a coupon use, respecting the global usage limit. Returns false when
+// the limit was reached in the meantime.
+const redeemCoupon = async (coupon, { session } = {}) => {
+    const filter = { _id: coupon._id };
+    if (coupon.usageLimit != null) {
+        filter.usedCount = { $lt: coupon.usageLimit };
+    }
+    return Boolean(await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } }, { session }));
+};
+
+const releaseCoupon = (code) => {
+    return Coupon.updateOne({ code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+};
+
+// Fields to set when an order is cancelled. Paid orders are flagged for a
+// refund; unpaid ones simply stop expecting payment.
+const cancellationUpdate = (order, { reason, cancelledBy }) => ({
+    cancellation: { reason, cancelledBy, cancelledAt: new Date() },
+    paymentStatus: order.paymentStatus === 'Paid' ? 'Refund Pending'
+        : order.paymentStatus === 'Pending' ? 'Cancelled'
+            : order.paymentStatus
+});
+
+const formatOrder = (order) => ({
+    _id: order._id,
+    orderNumber: order.orderNumber,
+    items: order.items.map(item => ({
+        _id: item.foodId?._id || item.foodId,
+        name: item.name,
+        price: item.price,
+        quantity: item.quantity,
+        image: item.image,
+        options: item.options,
+        instructions: item.instructions,
+        total: item.price * item.quantity,
+        isAvailable: item.foodId?.isAvailable || false
+    })),
+    amount: order.amount,
+    discount: order.discount,
+    coupon: order.coupon?.code ? order.coupon : undefined,
+    tax: order.tax,
+    taxBreakdown: order.taxBreakdown,
+    deliveryFee: order.deliveryFee,
+    totalAmount: order.totalAmount,
+    fulfilmentType: order.fulfilmentType,
+    address: order.address,
+    pickupSlot: order.pickupSlot?.start ? order.pickupSlot : undefined,
+    status: order.status,
+    statusHistory: order.statusHistory,
+    paymentStatus: order.paymentStatus,
+    paymentMethod: order.paymentMethod,
+    paymentId: order.paymentId,
+    cancellation: order.cancellation?.cancelledAt ? order.cancellation : undefined,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt
+});
+
+// Move an order to a new status, recording who did it. The update is
+// conditional on the current status so concurrent changes cannot both win.
+// Returns the updated order, or null if the order changed in the meantime.
+const transitionOrderStatus = async (order, nextStatus, { changedBy, changedByRole, note, set = {} } = {}) => {
+    if (!canTransition(order.status, nextStatus)) {
+        throw new Error(`Cannot change order status from '${order.status}' to '${nextStatus}'`);
+    }
+
+    // Also guard paymentStatus when changing it, so a webhook landing
+    // at the same time is not overwritten
+    const filter = { _id: order._id, status: order.status };
+    if (set.paymentStatus) {
+        filter.paymentStatus = order.paymentStatus;
+    }
+
+    const updatedOrder = await Order.findOneAndUpdate(
+        filter,
+        {
+            $set: { ...set, status: nextStatus },
+            $push: { statusHistory: { status: nextStatus, changedBy, changedByRole, note } }
+        },
+        { new: true }
+    );
+
+    if (updatedOrder) {
+        publishOrderUpdated(order, updatedOrder);
+    }
+    return updatedOrder;
+};
+
+// Change an order's payment status, conditional on the current payment status
+const updatePaymentStatus = async (order, paymentStatus) => {
+    const updatedOrder = await Order.findOneAndUpdate(
+        { _id: order._id, paymentStatus: order.paymentStatus },
+        { paymentStatus },
+        { new: true }
+    );
+
+    if (updatedOrder) {
+        publishOrderUpdated(order, updatedOrder);
+    }
+    return updatedOrder;
+};
+
+// Refund an order flagged 'Refund Pending'. Wallet payments are credited back
+// immediately. Providers that refund asynchronously confirm later through the
+// webhook; failures are left as 'Refund Pending' for staff to follow up.
+const refundOrderPayment = async (order) => {
+    if (order.paymentStatus !== 'Refund Pending' || !order.paymentId) {
+        return order;
+    }
+
+    if (order.paymentMethod === 'wallet') {
+        // The status flip and the credit commit together, so a refund is
+        // credited exactly once and never lost half way
+        let refundedOrder = null;
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                refundedOrder = await Order.findOneAndUpdate(
+                    { _id: order._id, paymentStatus: 'Refund Pending' },
+                    { paymentStatus: 'Refunded' },
+                    { new: true, session }
+                );
+                if (!refundedOrder) return;
+
+                await adjustWallet(order.userId, order.totalAmount, {
+                    type: 'refund',
+                    orderId: order._id,
+                    note: `Refund for cancelled order ${order.orderNumber}`,
+                    session
+                });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        if (!refundedOrder) {
+            return order;
+        }
+        publishOrderUpdated(order, refundedOrder);
+        return refundedOrder;
+    }
+
+    try {
+        const refund = await getPaymentProvider(order.paymentProvider).refund({
+            paymentId: order.paymentId,
+            amount: order.totalAmount
+        });
+
+        if (refund.status === 'succeeded') {
+            return (await updatePaymentStatus(order, 'Refunded')) || order;
+        }
+    } catch (error) {
+        console.error('❌ Refund error for order', order.orderNumber, error);
+    }
+    return order;
+};
+
+// Cancel an order and settle its payment. Returns null if the order changed
+// in the meantime.
+const cancelOrder = async (order, { reason, user }) => {
+    const cancelledOrder = await transitionOrderStatus(order, 'Cancelled', {
+        changedBy: user._id,
+        changedByRole: user.role,
+        note: reason,
+        set: cancellationUpdate(order, { reason, cancelledBy: user._id })
+    });
+
+    if (!cancelledOrder) {
+        return null;
+    }
+
+    if (cancelledOrder.coupon?.code) {
+        await releaseCoupon(cancelledOrder.coupon.code);
+    }
+    if (cancelledOrder.pickupSlot?.start) {
+        await releasePickupSlot(cancelledOrder.pickupSlot.start);
+    }
+    await releaseStock(cancelledOrder.items, toDateKey(cancelledOrder.createdAt));
+    await recordPopularity(cancelledOrder.items, -1);
+    return refundOrderPayment(cancelledOrder);
+};
+
+// Start the provider payment for an online order once it is safely saved, so
+// a failed save never leaves a payment behind. Safe to call again for an
+// order that already has one.
+const attachPaymentIntent = async (order) => {
+    if (order.paymentId) {
+        return order;
+    }
+
+    const provider = getPaymentProvider(order.paymentProvider);
+    const paymentIntent = await provider.createPaymentIntent({
+        amount: order.totalAmount,
+        currency: PAYMENT_CURRENCY,
+        orderId: order._id.toString()
+    });
+
+    const updatedOrder = await Order.findOneAndUpdate(
+        { _id: order._id, paymentId: null },
+        { paymentId: paymentIntent.id, paymentClientSecret: paymentIntent.clientSecret },
+        { new: true }
+    ).select('+paymentClientSecret');
+
+    // A concurrent retry attached its intent first
+    return updatedOrder || Order.findById(order._id).select('+paymentClientSecret');
+};
+
+// Payment status changes for each webhook event, keyed by current status.
+// Money arriving for an already cancelled order is refunded straight away.
+const PAYMENT_EVENT_TRANSITIONS = {
+    [PAYMENT_EVENTS.SUCCEEDED]: { 'Pending': 'Paid', 'Failed': 'Paid', 'Cancelled': 'Refund Pending' },
+    [PAYMENT_EVENTS.FAILED]: { 'Pending': 'Failed' },
+    [PAYMENT_EVENTS.REFUNDED]: { 'Paid': 'Refunded', 'Refund Pending': 'Refunded' }
+};
+
+// Apply a verified provider event to its order. Replayed or out-of-order
+// events with no matching transition are acknowledged and ignored.
+const applyPaymentEvent = async (provider, event) => {
+    const order = await Order.findOne({ paymentProvider: provider.name, paymentId: event.paymentId });
+    if (!order) {
+        return null;
+    }
+
+    const nextStatus = PAYMENT_EVENT_TRANSITIONS[event.type]?.[order.paymentStatus];
+    if (!nextStatus) {
+        return order;
+    }
+
+    const updatedOrder = await updatePaymentStatus(order, nextStatus);
+    if (!updatedOrder) {
+        // Let the provider retry once the concurrent change has settled
+        throw new Error(`Order ${order.orderNumber} changed while applying ${event.type}`);
+    }
+    return refundOrderPayment(updatedOrder);
+};
+
+// Helper function
+// Short-lived access token; tv ties it to the user's tokenVersion
+const createToken = (user) => {
+    return jwt.sign(
+        { id: user._id, role: user.role, tv: user.tokenVersion },
+        authConfig.jwtSecret,
+        { expiresIn: authConfig.accessTokenTtl }
+    );
+};
+
+const issueRefreshToken = async (userId, family = crypto.randomUUID()) => {
+    const refreshToken = crypto.randomBytes(32).toString('hex');
+    await RefreshToken.create({
+        userId,
+        tokenHash: hashToken(refreshToken),
+        family,
+        expiresAt: new Date(Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000)
+    });
+    return refreshToken;
+};
+
+// Token fields returned by register, login and refresh
+const issueTokens = async (user, family) => {
+    const token = createToken(user);
+    return {
+        token,
+        tokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+        refreshToken: await issueRefreshToken(user._id, family)
+    };
+};
+
+// Routes
+app.get('/', (req, res) => {
+    res.json({
+        success: true,
+        message: 'Food Delivery API is running!',
+        endpoints: {
+            // Food endpoints
+            'GET /api/food/list': 'Get food items on the menu now (?date=YYYY-MM-DD, ?period=breakfast|lunch|dinner, ?all=true), with ?q= search, ?category=, ?minPrice=, ?maxPrice=, ?available=true, ?excludeAllergens=peanuts,milk, ?diet=vegan, ?maxCalories=, ?sort=name|-name|price|-price|popularity|rating|relevance, ?page=, ?limit= (paginated: 20 items per page by default, at most 100; use pagination.totalPages to fetch the rest)',
+            'GET /api/food/categories': 'Get active categories in display order with item counts',
+            'GET /api/food/:id/reviews': 'Get visible reviews of a food item, newest first, with ?page= and ?limit=',
+
+            // Admin food endpoints (require admin role)
+            'POST /api/food/add': 'Create food item (multipart, image field, optional optionGroups JSON)',
+            'PUT /api/food/:id': 'Update food item (multipart, optional image; maxQuantity sets the per-order limit)',
+            'DELETE /api/food/:id': 'Soft-delete food item',
+            'PATCH /api/food/:id/availability': 'Toggle or set food availability',
+            'PATCH /api/food/:id/stock': 'Set daily portions and portions left today (kitchen or admin)',
+            'PUT /api/food/:id/schedule': 'Set the weekdays, dates and service periods an item is offered',
+
+            // User endpoints
+            'POST /api/user/register': 'Register new user and send a verification email (merges the cart of an x-guest-token header)',
+            'POST /api/user/login': 'Login user (merges the cart of an x-guest-token header); returns a short-lived token and a refreshToken',
+            'POST /api/user/refresh': 'Exchange a refreshToken for a new token and refreshToken (each refresh token works once)',
+            'POST /api/user/logout': 'Revoke a refreshToken',
+            'POST /api/user/logout-all': 'Revoke all sessions of the signed-in user on every device',
+            'POST /api/user/verify-email': 'Verify your email address with the token from the signup email',
+            'POST /api/user/resend-verification': 'Send a new verification email',
+            'POST /api/user/forgot-password': 'Email a single-use password reset link',
+            'POST /api/user/reset-password': 'Set a new password with a reset token (token, password); signs out all devices',
+            'GET /api/user/profile': 'Get your profile, preferences and saved addresses',
+            'PUT /api/user/profile': 'Update name and phone (preferences are set with PUT /api/user/preferences)',
+            'GET /api/user/addresses': 'List your saved addresses and the default one',
+            'POST /api/user/addresses': 'Save an address (label, address fields, isDefault); the first one becomes the default',
+            'PUT /api/user/addresses/:addressId': 'Update a saved address; isDefault true makes it the default, false unsets it, leaving it out keeps the current default',
+            'DELETE /api/user/addresses/:addressId': 'Delete a saved address',
+            'PUT /api/user/profile/password': 'Change your password (currentPassword, newPassword); signs out other devices',
+            'GET /api/user/preferences': 'Get your allergen and dietary preferences',
+            'PUT /api/user/preferences': 'Set allergenPreferences and dietaryPreferences used to flag cart items (the only endpoint that changes them)',
+            'GET /api/user/favourites': 'List your favourite dishes with current availability',
+            'POST /api/user/favourites': 'Add a dish to your favourites (foodId)',
+            'DELETE /api/user/favourites/:foodId': 'Remove a dish from your favourites',
+
+            // Admin user endpoints (require admin role)
+            'GET /api/admin/users': 'List users, optionally filtered by role. The first admins come from ADMIN_EMAILS (promoted once the address is verified)',
+            'PATCH /api/admin/users/:id/role': 'Change a user role (customer, kitchen, cashier, admin)',
+            'GET /api/admin/reviews': 'List reviews (?foodId=, ?hidden=true|false, ?maxRating=)',
+            'PATCH /api/admin/reviews/:id/visibility': 'Hide or show a review (isHidden, optional reason)',
+
+            // Cart endpoints (require authentication or a guest token)
+            'POST /api/cart/guest': 'Start a guest cart; send the returned guestToken as x-guest-token to the cart endpoints, login and register',
+            'POST /api/cart/add': 'Add an available item to cart (quantity 1 to the per-item limit, optional selections [{ group, options }] and instructions)',
+            'POST /api/cart/remove': 'Remove item from cart (lineKey, or itemId for plain dishes)',
+            'POST /api/cart/get': 'Get cart contents with each line\'s status, stale lines and price changes since adding (optional couponCode and fulfilmentType to preview pricing)',
+            'DELETE /api/cart/clear': 'Clear cart',
+
+            // Order endpoints (require authentication)
+            'POST /api/order/place': "Place order from cart; fulfilmentType 'pickup' (with pickupSlot), 'desk' or 'delivery' (default) with matching address (or addressId of a saved address; the default address is used when both are left out), optional couponCode; paymentMethod 'online' (returns a payment intent; the default) or 'wallet' (the default and only option when no PAYMENT_PROVIDER is set up). Send an Idempotency-Key header so retries return the original order",
+            'POST /api/order/userorders': 'Get user order history with pagination',
+            'GET /api/order/stream': 'Server-Sent Events stream of your order updates (token may be passed as ?token=)',
+            'GET /api/order/:orderRef': 'Get one of your orders by id or order number',
+            'POST /api/order/:orderRef/cancel': 'Cancel your order while it is not yet being prepared (reason required)',
+            'POST /api/order/:orderRef/reorder': 'Add the items of a past order to your cart at current prices, reporting skipped, repriced and quantity-capped items',
+            'POST /api/order/:orderRef/reviews': 'Rate (1-5) and optionally comment on a dish from a delivered order, once per dish per order',
+
+            // Pickup slot endpoints
+            'GET /api/pickup/slots': "List pickup slots with remaining capacity (?date=YYYY-MM-DD, default today); only today's slots can be booked",
+            'PUT /api/pickup/slots/capacity': 'Set the capacity of one pickup slot (admin)',
+
+            // Wallet endpoints
+            'GET /api/wallet': 'Get wallet balance and transaction history',
+            'POST /api/wallet/topup': 'Top up a user wallet by email with an amount of at least 0.01 (cashier or admin)',
+
+            // Admin category endpoints (require admin role)
+            'GET /api/category': 'List all categories, including inactive ones',
+            'POST /api/category': 'Create category (multipart, optional image field)',
+            'PUT /api/category/:id': 'Update category; renaming updates its food items',
+            'DELETE /api/category/:id': 'Delete a category that has no food items',
+
+            // Admin coupon endpoints (require admin role)
+            'GET /api/coupon': 'List coupons',
+            'POST /api/coupon': 'Create coupon',
+            'PUT /api/coupon/:id': 'Update coupon',
+            'DELETE /api/coupon/:id': 'Delete coupon',
+
+            // Payment endpoints
+            'POST /api/payment/webhook/:provider': 'Signed payment provider webhook',
+            'POST /api/payment/mock/simulate': 'Complete or fail a mock payment (mock provider, non-production only)',
+
+            // Staff order endpoints (require kitchen, cashier or admin role)
+            'PATCH /api/order/:id/status': 'Move order to next lifecycle status',
+            'GET /api/kitchen/queue': 'Active orders oldest first, with elapsed time and pending item totals',
+            'GET /api/kitchen/stream': 'Server-Sent Events stream of all new and updated orders'
+        },
+        note: 'Order endpoints require an authentication token in the Authorization: Bearer header; cart endpoints also accept x-guest-token. Food images are served from /images/<filename>'
+    });
+});
+
+// Food routes
+app.get('/api/food/list', async (req, res) => {
+    try {
+        console.log('📋 Food list request received:', req.query);
+
+        // What is on offer right now by default; ?date= for a whole day,
+        // optionally narrowed with ?period=; ?all=true for the full menu
+        const { date, period, all, q, category, available } = req.query;
+        const excludeAllergens = parseList(req.query.excludeAllergens);
+        const diets = parseList(req.query.diet);
+        const maxCalories = req.query.maxCalories !== undefined ? Number(req.query.maxCalories) : null;
+        const day = date ? parseDateKey(date) : new Date();
+        const minPrice = req.query.minPrice !== undefined ? Number(req.query.minPrice) : null;
+        const maxPrice = req.query.maxPrice !== undefined ? Number(req.query.maxPrice) : null;
+        const sort = req.query.sort || (q ? 'relevance' : 'name');
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        if (!day || (period && !SERVICE_PERIODS.includes(period))) {
+            return res.status(400).json({
+                success: false,
+                message: `date must be YYYY-MM-DD and period one of: ${SERVICE_PERIODS.join(', ')}`
+            });
+        }
+
+        if ([minPrice, maxPrice].some(price => price !== null && !Number.isFinite(price)) || !FOOD_SORTS[sort] ||
+            (sort === 'relevance' && !q)) {
+            return res.status(400).json({
+                success: false,
+                message: `minPrice and maxPrice must be numbers and sort one of: ${Object.keys(FOOD_SORTS).join(', ')} (relevance needs q)`
+            });
+        }
+
+        // ?category[$ne]=x parses to an object, which would reach the query as an operator
+        if (category !== undefined && typeof category !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'category must be a single category name'
+            });
+        }
+
+        const unknownTags = [
+            ...excludeAllergens.filter(allergen => !ALLERGENS.includes(allergen)),
+            ...diets.filter(diet => !DIETARY_TAGS.includes(diet))
+        ];
+        if (unknownTags.length > 0 || (maxCalories !== null && !Number.isFinite(maxCalories))) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown filter values: ${unknownTags.join(', ') || 'maxCalories'}. Allergens: ${ALLERGENS.join(', ')}. Diets: ${DIETARY_TAGS.join(', ')}`
+            });
+        }
+
+        const servicePeriod = period || (date ? undefined : getServicePeriod(day));
+        const filter = { isDeleted: { $ne: true } };
+        if (all !== 'true') {
+            Object.assign(filter, buildScheduleQuery(day, { period: servicePeriod }));
+        }
+        if (q) {
+            filter.$text = { $search: String(q) };
+        }
+        if (category) {
+            filter.category = category;
+        }
+        if (minPrice !== null || maxPrice !== null) {
+            filter.price = {};
+            if (minPrice !== null) filter.price.$gte = minPrice;
+            if (maxPrice !== null) filter.price.$lte = maxPrice;
+        }
+        if (available === 'true') {
+            filter.isAvailable = true;
+        }
+        if (excludeAllergens.length > 0) {
+            filter.allergens = { $nin: excludeAllergens };
+        }
+        if (diets.length > 0) {
+            filter.dietaryTags = { $all: diets };
+        }
+        if (maxCalories !== null) {
+            filter['nutrition.calories'] = { $lte: maxCalories };
+        }
+
+        // If no foods in database, create sample data
+        if (await Food.estimatedDocumentCount() === 0) {
+            console.log('No foods found, creating sample data...');
+
+            await ensureCategories();
+            await Food.insertMany(SAMPLE_FOODS);
+            console.log('✅ Sample foods created');
+        }
+
+        await resetDailyStock();
+
+        const projection = sort === 'relevance' ? { score: { $meta: 'textScore' } } : {};
+        const foods = await Food.find(filter, projection)
+            .sort(FOOD_SORTS[sort])
+            .skip((page - 1) * limit)
+            .limit(limit);
+        const totalItems = await Food.countDocuments(filter);
+        const totalPages = Math.ceil(totalItems / limit);
+
+        console.log(`📊 Returning ${foods.length} food items`);
+
+        res.json({
+            success: true,
+            data: foods,
+            menu: all === 'true' ? undefined : {
+                date: toDateKey(day),
+                period: servicePeriod ?? 'all day'
+            },
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalItems,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            },
+            message: `Found ${totalItems} food items`
+        });
+    } catch (error) {
+        console.error('❌ Food list error:', error);
+
+        // Fallback response
+        res.json({
+            success: true,
+            data: [
+                {
+                    _id: 'sample1',
+                    name: 'Sample Pizza',
+                    description: 'This is a sample pizza (database error)',
+                    price: 12.99,
+                    category: 'Pizza',
+                    image: 'sample.jpg',
+                    isAvailable: true
+                }
+            ],
+            message: 'Fallback data due to database error'
+        });
+    }
+});
+
+app.get('/api/food/categories', async (req, res) => {
+    try {
+        console.log('🗂️ Food categories request');
+
+        await ensureCategories();
+
+        const categories = await Category.find({ isActive: true }).sort({ displayOrder: 1, name: 1 });
+        const counts = await Food.aggregate([
+            { $match: { isDeleted: { $ne: true } } },
+            {
+                $group: {
+                    _id: '$category',
+                    itemCount: { $sum: 1 },
+                    availableCount: { $sum: { $cond: ['$isAvailable', 1, 0] } }
+                }
+            }
+        ]);
+        const countsByName = new Map(counts.map(count => [count._id, count]));
+
+        res.json({
+            success: true,
+            data: categories.map(category => ({
+                _id: category._id,
+                name: category.name,
+                displayOrder: category.displayOrder,
+                image: category.image,
+                icon: category.icon,
+                itemCount: countsByName.get(category.name)?.itemCount || 0,
+                availableCount: countsByName.get(category.name)?.availableCount || 0
+            }))
+        });
+    } catch (error) {
+        console.error('❌ Food categories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get categories'
+        });
+    }
+});
+
+app.get('/api/food/:id/reviews', async (req, res) => {
+    try {
+        console.log('⭐ Food reviews request:', req.params.id, req.query);
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const food = mongoose.isValidObjectId(req.params.id)
+            ? await Food.findOne({ _id: req.params.id, isDeleted: { $ne: true } }).select('name ratingAverage ratingCount')
+            : null;
+
+        if (!food) {
+            return res.status(404).json({
+                success: false,
+                message: 'Food item not found'
+            });
+        }
+
+        const filter = { foodId: food._id, isHidden: false };
+        const reviews = await Review.find(filter)
+            .populate('userId', 'name')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+        const totalReviews = await Review.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                food,
+                reviews: reviews.map(review => ({
+                    _id: review._id,
+                    rating: review.rating,
+                    comment: review.comment,
+                    author: review.userId?.name,
+                    createdAt: review.createdAt
+                }))
+            },
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalReviews / limit),
+                totalReviews
+            }
+        });
+    } catch (error) {
+        console.error('❌ Food reviews error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get reviews'
+        });
+    }
+});
+
+// Access tokens come as "Authorization: Bearer <token>", or in the older
+// "token" header
+const getAccessToken = (req) => {
+    if (req.headers.authorization) {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization);
+        return match ? match[1] : null;
+    }
+    return req.headers.token || null;
+};
+
+// Auth middleware
+const authMiddleware = async (req, res, next) => {
+    try {
+        const token = getAccessToken(req);
+
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token is required'
+            });
+        }
+
+        const decoded = jwt.verify(token, authConfig.jwtSecret, { algorithms: ['HS256'] });
+        const user = await User.findById(decoded.id).select('-password');
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (decoded.tv !== user.tokenVersion) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked, please log in again'
+            });
+        }
+
+        req.user = user;
+        req.body.userId = user._id.toString();
+        next();
+    } catch (error) {
+        console.error('Auth error:', error);
+        res.status(401).json({
+            success: false,
+            message: 'Authentication failed'
+        });
+    }
+};
+
+// Cart routes accept a user token or, for visitors, a guest token from
+// POST /api/cart/guest in the x-guest-token header
+const cartAuthMiddleware = async (req, res, next) => {
+    if (req.headers.token || req.headers.authorization) {
+        return authMiddleware(req, res, next);
+    }
+
+    const guestToken = req.headers['x-guest-token'];
+    if (!guestToken) {
+        return res.status(401).json({
+            success: false,
+            message: 'Access token or guest token is required'
+        });
+    }
+
+    try {
+        const guestCart = await GuestCart.findOne({ token: String(guestToken), expiresAt: { $gt: new Date() } });
+        if (!guestCart) {
+            return res.status(401).json({
+                success: false,
+                message: 'Guest cart not found or expired'
+            });
+        }
+
+        req.guestCart = guestCart;
+        next();
+    } catch (error) {
+        console.error('Guest cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to load guest cart'
+        });
+    }
+};
+
+// Role guard (use after authMiddleware). Checks the stored role rather than
+// the token claim so demotions take effect without waiting for token expiry.
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: `Access restricted to: ${roles.join(', ')}`
+        });
+    }
+    next();
+};
+
+// Check req.body against a schema (see utils/validate.js). Only the fields in
+// the schema are kept, plus the userId set by authMiddleware.
+const validateBody = (schema) => (req, res, next) => {
+    const { value, errors } = validate(schema, req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid request: ' + errors.join('; '),
+            errors
+        });
+    }
+    req.body = { ...value, userId: req.body?.userId };
+    next();
+};
+
+// Request schemas
+const selectionsRule = {
+    type: 'array',
+    maxLength: 20,
+    items: {
+        type: 'object',
+        fields: {
+            group: { type: 'string', required: true, maxLength: 100 },
+            options: { type: 'array', required: true, maxLength: 20, items: { type: 'string', maxLength: 100 } }
+        }
+    }
+};
+// Passwords are used exactly as typed; login compares them untrimmed
+const passwordRule = { type: 'string', required: true, minLength: MIN_PASSWORD_LENGTH, maxLength: 128, trim: false };
+const REQUEST_SCHEMAS = {
+    // The per-dish limit (getMaxQuantity) is checked by the routes, since
+    // foods can allow more than MAX_ITEM_QUANTITY
+    cartAdd: {
+        itemId: { type: 'objectId', required: true },
+        quantity: { type: 'integer', min: 1, default: 1 },
+        selections: selectionsRule,
+        instructions: { type: 'string', maxLength: MAX_INSTRUCTIONS_LENGTH }
+    },
+    cartRemove: {
+        lineKey: { type: 'string', maxLength: 100 },
+        itemId: { type: 'string', maxLength: 100 },
+        quantity: { type: 'integer', min: 1, default: 1 }
+    },
+    cartGet: {
+        couponCode: { type: 'string', maxLength: 50 },
+        fulfilmentType: { type: 'string', enum: FULFILMENT_TYPES, default: 'delivery' }
+    },
+    orderPlace: {
+        address: {
+            type: 'object',
+            default: {},
+            fields: Object.fromEntries(ADDRESS_FIELDS.map(field => [field, { type: 'string', maxLength: 200 }]))
+        },
+        addressId: { type: 'objectId' },
+        // Defaults to online, or wallet when no payment provider is set up
+        paymentMethod: { type: 'string', enum: ['online', 'wallet'] },
+        couponCode: { type: 'string', maxLength: 50 },
+        fulfilmentType: { type: 'string', enum: FULFILMENT_TYPES, default: 'delivery' },
+        pickupSlot: { type: 'string', maxLength: 40 }
+    },
+    orderList: {
+        page: { type: 'integer', min: 1, default: 1 },
+        limit: { type: 'integer', min: 1, max: 50, default: 10 }
+    },
+    orderCancel: {
+        reason: { type: 'string', required: true, maxLength: 500 }
+    },
+    orderReview: {
+        foodId: { type: 'objectId', required: true },
+        rating: { type: 'integer', required: true, min: 1, max: 5 },
+        comment: { type: 'string', maxLength: 1000, default: '' }
+    },
+    orderStatus: {
+        status: { type: 'string', required: true, enum: ORDER_STATUSES },
+        note: { type: 'string', maxLength: 500 }
+    },
+    register: {
+        name: { type: 'string', required: true, maxLength: 100 },
+        email: { type: 'string', required: true, maxLength: 254 },
+        password: passwordRule
+    },
+    emailToken: {
+        token: { type: 'string', required: true, maxLength: 128 }
+    },
+    forgotPassword: {
+        email: { type: 'string', required: true, maxLength: 254 }
+    },
+    resetPassword: {
+        token: { type: 'string', required: true, maxLength: 128 },
+        password: passwordRule
+    },
+    // Preferences are changed through PUT /api/user/preferences only
+    profile: {
+        name: { type: 'string', maxLength: 100 },
+        phone: { type: 'string', maxLength: 30 }
+    },
+    savedAddress: {
+        label: { type: 'string', maxLength: 50 },
+        ...Object.fromEntries(ADDRESS_FIELDS.map(field => [field, { type: 'string', maxLength: 200 }])),
+        // No default: on update, leaving it out keeps the current default address
+        isDefault: { type: 'boolean' }
+    },
+    walletTopup: {
+        email: { type: 'string', required: true, maxLength: 254 },
+        // Anything smaller would round to a zero credit
+        amount: { type: 'number', required: true, min: 0.01 },
+        note: { type: 'string', maxLength: 500 }
+    },
+    changePassword: {
+        currentPassword: { type: 'string', required: true, maxLength: 128, trim: false },
+        newPassword: passwordRule
+    }
+};
+
+// Image upload handling
+// Uploads are served from /images, so the stored extension decides the
+// content type; the client's file name and mimetype are not trusted
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+const getImageExtension = (file) => path.extname(file.originalname).toLowerCase();
+
+const upload = multer({
+    storage: multer.diskStorage({
+        destination: UPLOADS_DIR,
+        filename: (req, file, cb) => cb(null, `${crypto.randomUUID()}${getImageExtension(file)}`)
+    }),
+    limits: { fileSize: 5 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (!file.mimetype.startsWith('image/') || !IMAGE_EXTENSIONS.includes(getImageExtension(file))) {
+            return cb(new Error(`Only ${IMAGE_EXTENSIONS.join(', ')} images are allowed`));
+        }
+        cb(null, true);
+    }
+});
+
+const uploadImage = (req, res, next) => {
+    upload.single('image')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({
+                success: false,
+                message: 'Image upload failed: ' + err.message
+            });
+        }
+        next();
+    });
+};
+
+const removeImage = async (filename) => {
+    if (!filename) return;
+    try {
+        await fs.promises.unlink(path.join(UPLOADS_DIR, path.basename(filename)));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error('Failed to remove image:', filename, err);
+        }
+    }
+};
+
+// Parse admin food fields from JSON or multipart (string) bodies
+const parseFoodFields = (body) => {
+    const fields = {};
+    const errors = [];
+
+    for (const key of ['name', 'description', 'category']) {
+        if (body[key] !== undefined) {
+            fields[key] = String(body[key]).trim();
+            if (!fields[key]) errors.push(`${key} cannot be empty`);
+        }
+    }
+
+    if (body.price !== undefined) {
+        fields.price = Number(body.price);
+        if (!Number.isFinite(fields.price) || fields.price < 0) errors.push('price must be a non-negative number');
+    }
+
+    if (body.isAvailable !== undefined) {
+        fields.isAvailable = body.isAvailable === true || body.isAvailable === 'true';
+    }
+
+    // Empty clears the per-item limit
+    if (body.maxQuantity !== undefined) {
+        fields.maxQuantity = body.maxQuantity === '' || body.maxQuantity === null ? null : Number(body.maxQuantity);
+        if (fields.maxQuantity !== null && (!Number.isInteger(fields.maxQuantity) || fields.maxQuantity < 1)) {
+            errors.push('maxQuantity must be a whole number of at least 1');
+        }
+    }
+
+    if (body.allergens !== undefined) {
+        fields.allergens = parseList(body.allergens);
+        const unknown = fields.allergens.filter(allergen => !ALLERGENS.includes(allergen));
+        if (unknown.length > 0) errors.push(`Unknown allergens: ${unknown.join(', ')}`);
+    }
+
+    if (body.dietaryTags !== undefined) {
+        fields.dietaryTags = parseList(body.dietaryTags);
+        const unknown = fields.dietaryTags.filter(tag => !DIETARY_TAGS.includes(tag));
+        if (unknown.length > 0) errors.push(`Unknown dietary tags: ${unknown.join(', ')}`);
+    }
+
+    // Nutrition comes as an object, or a JSON string in multipart forms
+    if (body.nutrition !== undefined) {
+        let nutrition = body.nutrition;
+        try {
+            nutrition = typeof nutrition === 'string' ? JSON.parse(nutrition) : nutrition;
+        } catch (error) {
+            nutrition = null;
+        }
+
+        if (!nutrition || typeof nutrition !== 'object') {
+            errors.push('nutrition must be an object');
+        } else {
+            fields.nutrition = {};
+            for (const key of NUTRITION_FIELDS) {
+                if (nutrition[key] === undefined || nutrition[key] === null) continue;
+                fields.nutrition[key] = Number(nutrition[key]);
+                if (!Number.isFinite(fields.nutrition[key]) || fields.nutrition[key] < 0) {
+                    errors.push(`nutrition.${key} must be a non-negative number`);
+                }
+            }
+        }
+    }
+
+    // Option groups follow the same object-or-JSON-string rule
+    if (body.optionGroups !== undefined) {
+        let optionGroups = body.optionGroups;
+        try {
+            optionGroups = typeof optionGroups === 'string' ? JSON.parse(optionGroups) : optionGroups;
+        } catch (error) {
+            optionGroups = null;
+        }
+
+        const groupErrors = validateOptionGroups(optionGroups);
+        if (groupErrors.length > 0) {
+            errors.push(...groupErrors);
+        } else {
+            fields.optionGroups = optionGroups;
+        }
+    }
+
+    return { fields, errors };
+};
+
+// Admin food routes
+app.post('/api/food/add', authMiddleware, requireRole('admin'), uploadImage, async (req, res) => {
+    try {
+        console.log('🍽️ Add food request:', req.body);
+
+        const { fields, errors } = parseFoodFields(req.body);
+
+        for (const key of ['name', 'description', 'price', 'category']) {
+            if (fields[key] === undefined) errors.push(`${key} is required`);
+        }
+        if (!req.file) errors.push('image is required');
+
+        if (errors.length > 0) {
+            await removeImage(req.file?.filename);
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid food data',
+                errors
+            });
+        }
+
+        await ensureCategories();
+        const food = await Food.create({ ...fields, image: req.file.filename });
+
+        console.log('✅ Food added:', food.name);
+
+        res.status(201).json({
+            success: true,
+            message: 'Food item created',
+            data: food
+        });
+    } catch (error) {
+        console.error('❌ Add food error:', error);
+        await removeImage(req.file?.filename);
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({
+            success: false,
+            message: 'Failed to add food item: ' + error.message
+        });
+    }
+});
+
+app.put('/api/food/:id', authMiddleware, requireRole('admin'), uploadImage, async (req, res) => {
+    try {
+        console.log('✏️ Update food request:', req.params.id, req.body);
+
+        const food = mongoose.isValidObjectId(req.params.id) ? await Food.findById(req.params.id) : null;
+        if (!food || food.isDeleted) {
+            await removeImage(req.file?.filename);
+            return res.status(404).json({
+                success: false,
+                message: 'Food item not found'
+            });
+        }
+
+        const { fields, errors } = parseFoodFields(req.body);
+        if (errors.length > 0) {
+            await removeImage(req.file?.filename);
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid food data',
+                errors
+            });
+        }
+
+        const previousImage = food.image;
+        food.set(fields);
+        if (req.file) {
+            food.image = req.file.filename;
+        }
+
+        await food.save();
+
+        // Only drop the old file once the new one is saved
+        if (req.file) {
+            await removeImage(previousImage);
+        }
+
+        console.log('✅ Food updated:', food.name);
+
+        res.json({
+            success: true,
+            message: 'Food item updated',
+            data: food
+        });
+    } catch (error) {
+        console.error('❌ Update food error:', error);
+        await removeImage(req.file?.filename);
+        res.status(error.name === 'ValidationError' ? 400 : 500).json({
+            success: false,
+            message: 'Failed to update food item: ' + error.message
+        });
+    }
+});
+
+app.delete('/api/food/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+    try {
+        console.log('🗑️ Delete food request:', req.params.id);
+
+        // Soft delete: past orders keep referencing the item
+        const food = mongoose.isValidObjectId(req.params.id)
+            ? await Food.findOneAndUpdate(
+                { _id: req.params.id, isDeleted: { $ne: true } },
+                { isDeleted: true, deletedAt: new Date(), isAvailable: false },
+                { new: true }
+            )
+            : null;
+
+        if (!food) {
+            return res.status(404).json({
+                success: false,
+                message: 'Food item not found'
+            });
+        }
+
+        console.log('✅ Food deleted:', food.name);
+
+        res.json({
+            success: true,
+            message: 'Food item deleted',
+            data: { _id: food._id }
+        });
+    } catch (error) {
+        console.error('❌ Delete food error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete food item'
+        });
+    }
+});
+
+app.patch('/api/food/:id/availability', authMiddleware, requireRole('admin'), async (req, res) => {
+    try {
+        console.log('🔁 Food availability request:', req.params.id, req.body);
+
+        const food = mongoose.isValidObjectId(req.params.id) ? await Food.findById(req.params.id) : null;
+        if (!food || food.isDeleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Food item not found'
+            });
+        }
+
+        // Explicit value if given, otherwise toggle
+        food.isAvailable = typeof req.body.isAvailable === 'boolean' ? req.body.isAvailable : !food.isAvailable;
+        await food.save();
+
+        console.log(`✅ ${food.name} is now ${food.isAvailable ? 'available' : 'unavailable'}`);
+
+        res.json({
+            success: true,
+            message: `Food item marked as ${food.isAvailable ? 'available' : 'unavailable'}`,
+            data: {
+                _id: food._id,
+                isAvailable: food.isAvailable
+            }
+        });
+    } catch (error) {
+        console.error('❌ Food availability error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update availability'
+        });
+    }
+});
+
+app.patch('/api/food/:id/stock', authMiddleware, requireRole('kitchen', 'admin'), async (req, res) => {
+    try {
+        console.log('📦 Food stock request:', req.params.id, req.body);
+
+        const { dailyPortions } = req.body;
+        const portionsRemaining = req.body.portionsRemaining ?? dailyPortions;
+        const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+        // dailyPortions: null turns stock tracking off
+        if (dailyPortions !== null && !(isCount(dailyPortions) && isCount(portionsRemaining))) {
+            return res.status(400).json({
+                success: false,
+                message: 'dailyPortions and portionsRemaining must be non-negative integers (or dailyPortions null to stop tracking)'
+            });
+        }
+
+        const food = mongoose.isValidObjectId(req.params.id) ? await Food.findById(req.params.id) : null;
+        if (!food || food.isDeleted) {
+            return res.status(404).json({
+                success: false,
+                message: 'Food item not found'
+            });
+        }
+
+        // Items that sold out come back when portions are added; items
+        // switched off by hand stay off
+        const wasSoldOut = food.soldOut;
+        const soldOut = dailyPortions !== null && portionsRemaining === 0;
+        food.set({
+            dailyPortions,
+            portionsRemaining: dailyPortions === null ? null : portionsRemaining,
+            stockDate: dailyPortions === null ? undefined : toDateKey(new Date()),
+            soldOut
+        });
+        if (soldOut) {
+            food.isAvailable = false;
+        } else if (wasSoldOut) {
+            food.isAvailable = true;
+        }
+
+        await food.save();
+
+        console.log(`✅ Stock updated for ${food.name}:`, food.portionsRemaining, '/', food.dailyPortions);
+
+        res.json({
+            success: true,
+            message: 'Stock updated',
+            data: {
+                _id: food._id,
+                dailyPortions: food.dailyPortions,
+                portionsRemaining: food.portionsRemaining,
+                isAvailable: food.isAvailable,
+                soldOut: food.soldOut
+            }
+        });
+    } catch (error) {
+        console.error('❌ Food stock error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update stock'
+        });
+    }
+});
+
+app.put('/api/food/:id/schedule', authMiddleware, requireRole('admin'), async (req, res) => {
+    try {
+        console.log('🗓️ Food schedule request:', req.params.id, req.body);
+
+        const { weekdays = [], dates = [], periods = [] } = req.body;
+
+        const errors = [];
+        if (!Array.isArray(weekdays) || !weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            errors.push('weekdays must be a list of numbers from 0 (Sunday) to 6 (Saturday)');
+        }
+        if (!Array.isArray(dates) || !dates.every(date => parseDateKey(date))) {
+            errors.push('dates must be a list of YYYY-MM-DD dates');
+        }
+        if (!Array.isArray(periods) || !periods.every(period => SERVICE_PERIODS.includes(period))) {
+            errors.push(`periods must be a list of: ${SERVICE_PERIODS.join(', ')}`);
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid schedule',
+                errors
+            });
+        }
+
+        const food = mongoose.isValidObjectId(req.params.id)
+            ? await Food.findOneAndUpdate(
+                { _id: req.params.id, isDeleted: { $ne: true } },
+                { schedule: { weekdays: [...new Set(weekdays)], dates: [...new Set(dates)], periods: [...new Set(periods)] } },
+                { new: true }
+            )
+            : null;
+
+        if (!food) {
+            return res.status(404).json({
+                success: false,
+                message: 'Food item not found'
+            });
+        }
+
+        console.log('✅ Schedule updated for', food.name);
+
+        res.json({
+            success: true,
+            message: 'Schedule updated',
+            data: {
+                _id: food._id,
+                schedule: food.schedule
+            }
+        });
+    } catch (error) {
+        console.error('❌ Food schedule error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update schedule'
+        });
+    }
+});
+
+// EventSource cannot send headers, so streaming routes also accept ?token=
+const queryTokenMiddleware = (req, res, next) => {
+    if (!req.headers.token && !req.headers.authorization && req.query.token) {
+        req.headers.token = req.query.token;
+    }
+    next();
+};
+
+// Cart routes
+app.post('/api/cart/guest', async (req, res) => {
+    try {
+        console.log('👤 Guest cart request');
+
+        const guestCart = await GuestCart.create({
+            token: crypto.randomBytes(24).toString('hex'),
+            expiresAt: guestCartExpiry()
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Guest cart created',
+            data: {
+                guestToken: guestCart.token,
+                expiresAt: guestCart.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('❌ Guest cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create guest cart'
+        });
+    }
+});
+
+app.post('/api/cart/add', cartAuthMiddleware, validateBody(REQUEST_SCHEMAS.cartAdd), async (req, res) => {
+    try {
+        console.log('🛒 Add to cart request:', req.body);
+
+        const { itemId, quantity } = req.body;
+        const selections = normalizeSelections(req.body.selections);
+        const instructions = normalizeInstructions(req.body.instructions);
+
+        await resetDailyStock();
+        const food = await Food.findOne({ _id: itemId, isDeleted: { $ne: true } });
+        if (!food) {
+            return res.status(404).json({
+                success: false,
+                message: 'Food item not found'
+            });
+        }
+
+        if (!food.isAvailable) {
+            return res.status(409).json({
+                success: false,
+                message: `${food.name} is not available right now`
+            });
+        }
+
+        // Options are checked now so the customer hears about mistakes early
+        const resolved = resolveSelections(food, selections);
+        if (!resolved.valid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid item options',
+                errors: resolved.errors
+            });
+        }
+
+        // The limit covers every line of this dish, whatever the options
+        const cartData = getCartData(req);
+        const requested = readCartLines(cartData)
+            .filter(line => line.itemId === itemId)
+            .reduce((sum, line) => sum + line.quantity, quantity);
+        if (requested > getMaxQuantity(food)) {
+            return res.status(400).json({
+                success: false,
+                message: `You can order at most ${getMaxQuantity(food)} of ${food.name}`
+            });
+        }
+
+        // Same dish with different options or instructions is a separate line.
+        // The price is remembered so the cart can point out later changes.
+        const lineKey = buildLineKey(itemId, selections, instructions);
+        const [existingLine] = readCartLines({ [lineKey]: cartData[lineKey] });
+        cartData[lineKey] = {
+            itemId,
+            quantity: (existingLine?.quantity || 0) + quantity,
+            selections,
+            instructions,
+            priceAtAdd: resolved.unitPrice
+        };
+
+        // Save to database
+        await saveCartData(req, cartData);
+
+        // Warn (but still add) when asking for more than is left today
+        const portionsLeft = getPortionsLeft(food);
+        const warning = portionsLeft != null && requested > portionsLeft
+            ? (portionsLeft > 0 ? `Only ${portionsLeft} left today` : 'Sold out for today')
+            : undefined;
+
+        console.log('✅ Item added to cart');
+
+        res.json({
+            success: true,
+            message: 'Item added to cart',
+            data: {
+                lineKey,
+                itemId,
+                quantity: cartData[lineKey].quantity,
+                selections,
+                instructions,
+                price: resolved.unitPrice,
+                portionsLeft,
+                warning
+            }
+        });
+    } catch (error) {
+        console.error('❌ Add to cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add item to cart'
+        });
+    }
+});
+
+app.post('/api/cart/remove', cartAuthMiddleware, validateBody(REQUEST_SCHEMAS.cartRemove), async (req, res) => {
+    try {
+        console.log('🗑️ Remove from cart request:', req.body);
+
+        // Plain dishes can still be removed by itemId, which is their line key
+        const { quantity } = req.body;
+        const lineKey = req.body.lineKey || req.body.itemId;
+
+        if (!lineKey) {
+            return res.status(400).json({
+                success: false,
+                message: 'lineKey or itemId is required'
+            });
+        }
+
+        // Update cart
+        const cartData = getCartData(req);
+        const [line] = readCartLines({ [lineKey]: cartData[lineKey] });
+        if (line) {
+            const remaining = line.quantity - quantity;
+            if (remaining > 0) {
+                cartData[lineKey] = {
+                    itemId: line.itemId,
+                    quantity: remaining,
+                    selections: line.selections,
+                    instructions: line.instructions,
+                    priceAtAdd: line.priceAtAdd
+                };
+            } else {
+                delete cartData[lineKey];
+            }
+        }
+
+        // Save to database
+        await saveCartData(req, cartData);
+
+        console.log('✅ Item removed from cart');
+
+        res.json({
+            success: true,
+            message: 'Item removed from cart',
+            data: {
+                lineKey,
+                itemId: line?.itemId,
+                quantity: cartData[lineKey]?.quantity || 0
+            }
+        });
+    } catch (error) {
+        console.error('❌ Remove from cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove item from cart'
+        });
+    }
+});
+
+app.post('/api/cart/get', cartAuthMiddleware, validateBody(REQUEST_SCHEMAS.cartGet), async (req, res) => {
+    try {
+        console.log('📋 Get cart request for', req.user ? `user: ${req.user._id}` : 'guest');
+
+        const { fulfilmentType } = req.body;
+        const { lines, coupon, pricing } = await buildCheckout(getCartData(req), {
+            userId: req.user?._id,
+            couponCode: req.body.couponCode,
+            fulfilmentType
+        });
+
+        // Lines whose food no longer exists are reported with what little is known
+        const staleLines = lines.filter(line => !line.food).map(line => ({
+            lineKey: line.lineKey,
+            _id: line.itemId,
+            quantity: line.quantity,
+            status: line.status,
+            priceAtAdd: line.priceAtAdd
+        }));
+
+        const pricedLines = new Map(pricing.lines.map(line => [line.lineKey, line]));
+        const cartItems = lines.filter(line => line.food).map(line => {
+            const { food, quantity, isOffered, stockWarning, portionsLeft } = line;
+            const priced = pricedLines.get(line.lineKey);
+            const conflicts = findDietaryConflicts(food, req.user || {});
+            const price = line.unitPrice ?? food.price;
+            return {
+                lineKey: line.lineKey,
+                status: line.status,
+                _id: food._id,
+                name: food.name,
+                description: food.description,
+                basePrice: food.price,
+                price,
+                priceAtAdd: line.priceAtAdd,
+                isRepriced: line.isRepriced,
+                options: line.options,
+                instructions: line.instructions,
+                optionErrors: line.optionErrors,
+                quantityError: line.quantityError,
+                image: food.image,
+                category: food.category,
+                quantity: quantity,
+                total: priced ? priced.lineTotal : roundMoney(price * quantity),
+                taxRate: priced?.taxRate,
+                isAvailable: food.isAvailable,
+                isOffered,
+                portionsLeft,
+                stockWarning,
+                allergens: food.allergens,
+                dietaryTags: food.dietaryTags,
+                allergenConflicts: conflicts.allergens,
+                dietaryConflicts: conflicts.diets
+            };
+        });
+
+        console.log(`✅ Cart retrieved: ${cartItems.length} items, total: $${pricing.total}`);
+
+        res.json({
+            success: true,
+            data: {
+                items: cartItems,
+                staleLines,
+                coupon: coupon && {
+                    code: coupon.code,
+                    valid: coupon.valid,
+                    message: coupon.message,
+                    discount: coupon.discount
+                },
+                fulfilmentType,
+                pricing: formatPricing(pricing),
+                warnings: [
+                    ...staleLines.map(line => `An item in your cart is no longer on the menu (${line.lineKey})`),
+                    ...lines.filter(line => line.food && !line.food.isAvailable).map(line => `${line.food.name}: not available right now`),
+                    ...lines.filter(line => line.isRepriced).map(line => `${line.food.name}: price changed from ${line.priceAtAdd} to ${line.unitPrice}`),
+                    ...lines.filter(line => line.quantityError).map(line => `${line.food.name}: ${line.quantityError}`),
+                    ...lines.filter(line => line.food && !line.isOffered).map(line => `${line.food.name}: not on the menu right now`),
+                    ...lines.filter(line => line.optionErrors.length > 0).map(line => `${line.food.name}: ${line.optionErrors.join('; ')}`),
+                    ...lines.filter(line => line.stockWarning).map(line => `${line.food.name}: ${line.stockWarning}`),
+                    ...cartItems.filter(item => item.allergenConflicts.length > 0)
+                        .map(item => `${item.name}: contains ${item.allergenConflicts.join(', ')}`),
+                    ...cartItems.filter(item => item.dietaryConflicts.length > 0)
+                        .map(item => `${item.name}: not marked ${item.dietaryConflicts.join(', ')}`)
+                ],
+                summary: {
+                    itemCount: cartItems.length,
+                    totalItems: pricing.lines.reduce((sum, line) => sum + line.quantity, 0),
+                    totalAmount: pricing.subtotal,
+                    discount: pricing.discount,
+                    tax: pricing.tax,
+                    deliveryFee: pricing.deliveryFee,
+                    finalAmount: pricing.total,
+                    hasDietaryConflicts: cartItems.some(item => item.allergenConflicts.length > 0 || item.dietaryConflicts.length > 0),
+                    canCheckout: pricing.lines.length > 0 && lines.every(line => line.status === 'ok')
+                }
+            }
+        });
+    } catch (error) {
+        console.error('❌ Get cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get cart data'
+        });
+    }
+});
+
+app.delete('/api/cart/clear', cartAuthMiddleware, async (req, res) => {
+    try {
+        console.log('🧹 Clear cart request for', req.user ? `user: ${req.user._id}` : 'guest');
+
+        // Clear cart
+        await saveCartData(req, {});
+
+        console.log('✅ Cart cleared');
+
+        res.json({
+            success: true,
+            message: 'Cart cleared successfully'
+        });
+    } catch (error) {
+        console.error('❌ Clear cart error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to clear cart'
+        });
+    }
+});
+
+// Order routes
+app.post('/api/order/place', authMiddleware, validateBody(REQUEST_SCHEMAS.orderPlace), async (req, res) => {
+    try {
+        console.log('📦 Place order request:', req.body);
+
+        const { addressId, couponCode, fulfilmentType, pickupSlot } = req.body;
+        const paymentMethod = req.body.paymentMethod ?? (isOnlinePaymentEnabled() ? 'online' : 'wallet');
+        const userId = req.body.userId;
+        const idempotencyKey = req.get('Idempotency-Key');
+
+        if (idempotencyKey !== undefined && (!idempotencyKey.trim() || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+            return res.status(400).json({
+                success: false,
+                message: `Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`
+            });
+        }
+
+        // A retry of a request that already went through gets the original order
+        const findPlacedOrder = (session = null) => idempotencyKey
+            ? Order.findOne({ userId, idempotencyKey }).select('+paymentClientSecret').session(session)
+            : null;
+        const replay = async (order) => {
+            console.log('♻️ Replaying order for idempotency key:', order.orderNumber);
+            // The first attempt saved the order but could not start its payment
+            if (order.paymentMethod === 'online' && order.status !== 'Cancelled') {
+                order = await attachPaymentIntent(order);
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.json({
+                success: true,
+                message: 'Order already placed',
+                data: formatPlacedOrder(order)
+            });
+        };
+
+        const placedOrder = await findPlacedOrder();
+        if (placedOrder) {
+            return replay(placedOrder);
+        }
+
+        // A saved address can stand in for the inline one; without either the
+        // default address is used
+        let address = req.body.address;
+        if (addressId || Object.keys(address).length === 0) {
+            const savedAddress = req.user.addresses.id(addressId || req.user.defaultAddressId);
+            if (addressId && !savedAddress) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Saved address not found'
+                });
+            }
+            address = savedAddress ? savedAddressToOrderAddress(savedAddress, req.user) : address;
+        }
+
+        // Validate the address fields this fulfilment type needs
+        const requiredFields = REQUIRED_ADDRESS_FIELDS[fulfilmentType];
+        if (requiredFields.some(field => !address[field])) {
+            console.log('❌ Address validation failed. Received address:', address);
+            return res.status(400).json({
+                success: false,
+                message: fulfilmentType === 'desk' ? 'Complete desk location is required' : 'Complete delivery address is required',
+                missingFields: Object.fromEntries(requiredFields.map(field => [field, !address[field]]))
+            });
+        }
+
+        // Pickup orders must book a valid, future slot
+        let slotStart = null;
+        if (fulfilmentType === 'pickup') {
+            slotStart = pickupSlot ? new Date(pickupSlot) : null;
+            if (!slotStart || isNaN(slotStart) || !isSlotBookable(slotStart)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A valid pickup slot later today is required (see GET /api/pickup/slots)'
+                });
+            }
+        }
+
+        // Everything from reading the cart to clearing it happens in one
+        // transaction, so concurrent submits of the same cart cannot both
+        // succeed (the loser hits a write conflict on the user, is retried and
+        // finds the cart empty) and a crash never leaves half an order behind.
+        // Transactions need MongoDB running as a replica set.
+        const orderId = new mongoose.Types.ObjectId();
+        let order = null;
+        let existingOrder = null;
+
+        let paymentProvider = null;
+        if (paymentMethod === 'online') {
+            try {
+                paymentProvider = getPaymentProvider();
+            } catch (error) {
+                console.error('❌ Payment provider unavailable:', error.message);
+                return res.status(400).json({
+                    success: false,
+                    message: "Online payments are not enabled, use paymentMethod 'wallet'"
+                });
+            }
+        }
+
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                order = null;
+                existingOrder = await findPlacedOrder(session);
+                if (existingOrder) return;
+
+                // Get user and cart data
+                const user = await User.findById(userId).session(session);
+                if (!user) {
+                    throw new PlacementError(404, 'User not found');
+                }
+
+                const { lines, coupon: couponResult, pricing } = await buildCheckout(user.cartData, {
+                    userId,
+                    couponCode,
+                    fulfilmentType,
+                    offeredAt: slotStart ?? undefined
+                });
+
+                if (lines.length === 0) {
+                    throw new PlacementError(400, 'Cart is empty');
+                }
+
+                const missingLine = lines.find(line => !line.food);
+                if (missingLine) {
+                    throw new PlacementError(400, `Food item not found: ${missingLine.itemId}`);
+                }
+
+                const unavailableLine = lines.find(line => !line.food.isAvailable);
+                if (unavailableLine) {
+                    throw new PlacementError(400, `Food item is no longer available: ${unavailableLine.food.name}`);
+                }
+
+                const invalidOptionsLine = lines.find(line => line.optionErrors.length > 0);
+                if (invalidOptionsLine) {
+                    throw new PlacementError(400, `Please update the options for ${invalidOptionsLine.food.name}: ${invalidOptionsLine.optionErrors.join('; ')}`);
+                }
+
+                const unscheduledLine = lines.find(line => !line.isOffered);
+                if (unscheduledLine) {
+                    throw new PlacementError(400, slotStart
+                        ? `Food item is not on the menu at your pickup time: ${unscheduledLine.food.name}`
+                        : `Food item is not on the menu right now: ${unscheduledLine.food.name}`);
+                }
+
+                const overLimitLine = lines.find(line => line.quantityError);
+                if (overLimitLine) {
+                    throw new PlacementError(400, `${overLimitLine.food.name}: ${overLimitLine.quantityError}`);
+                }
+
+                if (couponResult && !couponResult.valid) {
+                    throw new PlacementError(400, `Coupon ${couponResult.code} cannot be applied: ${couponResult.message}`);
+                }
+
+                const coupon = couponResult?.coupon || null;
+                const orderItems = pricing.lines.map(line => ({
+                    foodId: line.foodId,
+                    name: line.name,
+                    price: line.price,
+                    quantity: line.quantity,
+                    image: line.image,
+                    category: line.category,
+                    options: line.options,
+                    instructions: line.instructions || undefined
+                }));
+                const totalAmount = pricing.total;
+
+                // Only keep the address fields relevant to this fulfilment type
+                const orderAddress = Object.fromEntries(requiredFields.map(field => [field, address[field]]));
+
+                // Create order
+                const newOrder = new Order({
+                    _id: orderId,
+                    userId: userId,
+                    items: orderItems,
+                    amount: pricing.subtotal,
+                    discount: pricing.discount,
+                    coupon: coupon ? { code: coupon.code, discountType: coupon.discountType, value: coupon.value } : undefined,
+                    tax: pricing.tax,
+                    taxBreakdown: pricing.taxBreakdown,
+                    deliveryFee: pricing.deliveryFee,
+                    totalAmount: totalAmount,
+                    fulfilmentType,
+                    address: orderAddress,
+                    pickupSlot: slotStart ? { start: slotStart, end: getSlotEnd(slotStart) } : undefined,
+                    status: 'Food Processing',
+                    statusHistory: [{ status: 'Food Processing', changedBy: userId, changedByRole: req.user.role }],
+                    paymentStatus: 'Pending',
+                    paymentMethod,
+                    idempotencyKey
+                });
+
+                const shortItem = await reserveStock(orderItems, { session });
+                if (shortItem) {
+                    throw new PlacementError(409, `Not enough portions left today: ${shortItem}`);
+                }
+
+                if (slotStart && !await bookPickupSlot(slotStart, { session })) {
+                    throw new PlacementError(409, 'This pickup slot is full, please choose another');
+                }
+
+                if (coupon && !await redeemCoupon(coupon, { session })) {
+                    throw new PlacementError(400, `Coupon ${coupon.code} cannot be applied: Coupon usage limit reached`);
+                }
+
+                if (paymentMethod === 'wallet') {
+                    // The conditional update fails cleanly on a low balance
+                    const debit = await adjustWallet(userId, -totalAmount, {
+                        type: 'debit',
+                        orderId,
+                        note: 'Order payment',
+                        session
+                    });
+
+                    if (!debit) {
+                        throw new PlacementError(402, 'Insufficient wallet balance', {
+                            data: {
+                                walletBalance: user.walletBalance,
+                                required: totalAmount
+                            }
+                        });
+                    }
+
+                    newOrder.paymentProvider = 'wallet';
+                    newOrder.paymentId = debit._id.toString();
+                    newOrder.paymentStatus = 'Paid';
+                } else {
+                    // The payment intent is created after commit; the webhook marks the order paid
+                    newOrder.paymentProvider = paymentProvider.name;
+                }
+
+                await newOrder.save({ session });
+                await recordPopularity(orderItems, 1, { session });
+
+                // Clear user's cart
+                await User.updateOne({ _id: userId }, { cartData: {} }, { session });
+
+                order = newOrder;
+            });
+        } catch (error) {
+            // Two retries with the same key raced and the other one won
+            if (error.code !== 11000 || !error.keyPattern?.idempotencyKey) throw error;
+            existingOrder = await findPlacedOrder();
+        } finally {
+            await session.endSession();
+        }
+
+        if (existingOrder) {
+            return replay(existingOrder);
+        }
+
+        if (paymentMethod === 'online') {
+            try {
+                order = await attachPaymentIntent(order);
+            } catch (error) {
+                console.error('❌ Payment intent error for order', order.orderNumber, error);
+                await cancelOrder(order, { reason: 'Payment could not be started', user: req.user });
+                return res.status(502).json({
+                    success: false,
+                    message: 'Payment could not be started, please try again'
+                });
+            }
+        }
+
+        publishOrderCreated(order);
+
+        console.log('✅ Order placed successfully:', order.orderNumber);
+
+        res.status(201).json({
+            success: true,
+            message: 'Order placed successfully',
+            data: formatPlacedOrder(order)
+        });
+    } catch (error) {
+        if (error instanceof PlacementError) {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message,
+                ...error.details
+            });
+        }
+
+        console.error('❌ Place order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to place order: ' + error.message
+        });
+    }
+});
+
+app.post('/api/order/userorders', authMiddleware, validateBody(REQUEST_SCHEMAS.orderList), async (req, res) => {
+    try {
+        console.log('📋 Get user orders request for user:', req.body.userId);
+
+        const userId = req.body.userId;
+        const { page, limit } = req.body;
+
+        // Calculate pagination
+        const skip = (page - 1) * limit;
+
+        // Get orders for user, sorted by creation date (newest first)
+        const orders = await Order.find({ userId })
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .populate('items.foodId', 'name description category isAvailable');
+
+        // Get total count for pagination
+        const totalOrders = await Order.countDocuments({ userId });
+        const totalPages = Math.ceil(totalOrders / limit);
+
+        // Format orders for response
+        const formattedOrders = orders.map(formatOrder);
+
+        console.log(`✅ Retrieved ${orders.length} orders for user`);
+
+        res.json({
+            success: true,
+            data: formattedOrders,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalOrders,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1
+            },
+            message: orders.length > 0 ? `Found ${orders.length} orders` : 'No orders found'
+        });
+    } catch (error) {
+        console.error('❌ Get orders error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get orders: ' + error.message
+        });
+    }
+});
+
+// Registered before /api/order/:orderRef so 'stream' is not taken as an order reference
+app.get('/api/order/stream', queryTokenMiddleware, authMiddleware, (req, res) => {
+    console.log('📡 Order stream opened for user:', req.body.userId);
+
+    const userId = req.body.userId;
+    streamOrderEvents(req, res, (event) => event.order.userId?.toString() === userId);
+});
+
+app.get('/api/order/:orderRef', authMiddleware, async (req, res) => {
+    try {
+        console.log('🔍 Get order request:', req.params.orderRef);
+
+        const order = await findUserOrder(req.body.userId, req.params.orderRef)
+            .populate('items.foodId', 'name description category isAvailable');
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatOrder(order)
+        });
+    } catch (error) {
+        console.error('❌ Get order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get order: ' + error.message
+        });
+    }
+});
+
+app.post('/api/order/:orderRef/cancel', authMiddleware, validateBody(REQUEST_SCHEMAS.orderCancel), async (req, res) => {
+    try {
+        console.log('🚫 Cancel order request:', req.params.orderRef, req.body);
+
+        const { reason } = req.body;
+
+        const order = await findUserOrder(req.body.userId, req.params.orderRef);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Order can no longer be cancelled (status: ${order.status})`
+            });
+        }
+
+        const cancelledOrder = await cancelOrder(order, { reason, user: req.user });
+
+        if (!cancelledOrder) {
+            return res.status(409).json({
+                success: false,
+                message: 'Order status changed while cancelling, please refresh'
+            });
+        }
+
+        console.log('✅ Order cancelled:', cancelledOrder.orderNumber);
+
+        res.json({
+            success: true,
+            message: 'Order cancelled',
+            data: formatOrder(cancelledOrder)
+        });
+    } catch (error) {
+        console.error('❌ Cancel order error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel order: ' + error.message
+        });
+    }
+});
+
+app.post('/api/order/:orderRef/reviews', authMiddleware, validateBody(REQUEST_SCHEMAS.orderReview), async (req, res) => {
+    try {
+        console.log('⭐ Review request:', req.params.orderRef, req.body);
+
+        const { foodId, rating, comment } = req.body;
+
+        const order = await findUserOrder(req.body.userId, req.params.orderRef);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (order.status !== 'Delivered') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only delivered orders can be reviewed'
+            });
+        }
+
+        const item = order.items.find(orderItem => orderItem.foodId?.toString() === foodId);
+        if (!item) {
+            return res.status(400).json({
+                success: false,
+                message: 'This item is not part of the order'
+            });
+        }
+
+        const review = await Review.create({
+            userId: order.userId,
+            orderId: order._id,
+            foodId: item.foodId,
+            rating,
+            comment
+        });
+        await refreshFoodRating(item.foodId);
+
+        console.log(`✅ ${item.name} rated ${rating} on ${order.orderNumber}`);
+
+        res.json({
+            success: true,
+            message: 'Thanks for your review',
+            data: review
+        });
+    } catch (error) {
+        console.error('❌ Review error:', error);
+        res.status(error.code === 11000 ? 409 : 500).json({
+            success: false,
+            message: error.code === 11000 ? 'You have already reviewed this item for this order' : 'Failed to save review'
+        });
+    }
+});
+
+// Copy a past order's items into the cart at today's prices. Items that are
+// gone, switched off or whose options no longer exist are skipped and reported.
+app.post('/api/order/:orderRef/reorder', authMiddleware, async (req, res) => {
+    try {
+        console.log('🔁 Reorder request:', req.params.orderRef);
+
+        const order = await findUserOrder(req.body.userId, req.params.orderRef);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        await resetDailyStock();
+        const foods = await Food.find({ _id: { $in: order.items.map(item => item.foodId) }, isDeleted: { $ne: true } });
+        const foodsById = new Map(foods.map(food => [food._id.toString(), food]));
+
+        const cartData = req.user.cartData || {};
+        const now = new Date();
+        const added = [];
+        const skipped = [];
+        const capped = [];
+
+        for (const item of order.items) {
+            const food = foodsById.get(item.foodId?.toString());
+            if (!food || !food.isAvailable) {
+                skipped.push({ foodId: item.foodId, name: item.name, reason: food ? 'Not available right now' : 'No longer on the menu' });
+                continue;
+            }
+
+            // Rebuild the selections from the options stored on the order
+            const selections = normalizeSelections(Object.entries((item.options || []).reduce((groups, option) => {
+                (groups[option.group] ||= []).push(option.name);
+                return groups;
+            }, {})).map(([group, options]) => ({ group, options })));
+            const resolved = resolveSelections(food, selections);
+            if (!resolved.valid) {
+                skipped.push({ foodId: food._id, name: food.name, reason: resolved.errors.join('; ') });
+                continue;
+            }
+
+            // Same per-dish limit as adding to the cart by hand
+            const inCart = readCartLines(cartData)
+                .filter(line => line.itemId === food._id.toString())
+                .reduce((sum, line) => sum + line.quantity, 0);
+            const quantity = Math.min(item.quantity, getMaxQuantity(food) - inCart);
+            if (quantity <= 0) {
+                skipped.push({ foodId: food._id, name: food.name, reason: `At most ${getMaxQuantity(food)} per order, already in your cart` });
+                continue;
+            }
+            if (quantity < item.quantity) {
+                capped.push({ foodId: food._id, name: food.name, requested: item.quantity, quantity, reason: `At most ${getMaxQuantity(food)} per order` });
+            }
+
+            const instructions = normalizeInstructions(item.instructions);
+            const lineKey = buildLineKey(food._id, selections, instructions);
+            const [existingLine] = readCartLines({ [lineKey]: cartData[lineKey] });
+            cartData[lineKey] = {
+                itemId: food._id.toString(),
+                quantity: (existingLine?.quantity || 0) + quantity,
+                selections,
+                instructions,
+                priceAtAdd: resolved.unitPrice
+            };
+
+            added.push({
+                lineKey,
+                foodId: food._id,
+                name: food.name,
+                quantity,
+                price: resolved.unitPrice,
+                previousPrice: resolved.unitPrice !== item.price ? item.price : undefined,
+                warning: isOfferedAt(food, now) ? undefined : 'Not on the menu right now'
+            });
+        }
+
+        if (added.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'None of the items from this order are available right now',
+                data: { added, skipped, capped }
+            });
+        }
+
+        await User.findByIdAndUpdate(req.body.userId, { cartData });
+
+        const repriced = added.filter(item => item.previousPrice !== undefined);
+        console.log(`✅ Reordered ${order.orderNumber}: ${added.length} added, ${skipped.length} skipped`);
+
+        res.json({
+            success: true,
+            message: skipped.length > 0 || repriced.length > 0 || capped.length > 0
+                ? 'Items added to cart; please review the changes'
+                : 'Items added to cart',
+            data: { added, skipped, repriced, capped }
+        });
+    } catch (error) {
+        console.error('❌ Reorder error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reorder'
+        });
+    }
+});
+
+// Staff order routes
+app.patch('/api/order/:id/status', authMiddleware, requireRole('kitchen', 'cashier', 'admin'), validateBody(REQUEST_SCHEMAS.orderStatus), async (req, res) => {
+    try {
+        console.log('🔄 Order status request:', req.params.id, req.body);
+
+        const { status, note } = req.body;
+
+        const order = mongoose.isValidObjectId(req.params.id) ? await Order.findById(req.params.id) : null;
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!canTransition(order.status, status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot change order status from '${order.status}' to '${status}'`
+            });
+        }
+
+        const updatedOrder = status === 'Cancelled'
+            ? await cancelOrder(order, { reason: note || 'Cancelled by staff', user: req.user })
+            : await transitionOrderStatus(order, status, {
+                changedBy: req.user._id,
+                changedByRole: req.user.role,
+                note
+            });
+
+        if (!updatedOrder) {
+            return res.status(409).json({
+                success: false,
+                message: 'Order status was changed by someone else, please refresh'
+            });
+        }
+
+        console.log(`✅ Order ${updatedOrder.orderNumber}: ${order.status} → ${updatedOrder.status}`);
+
+        res.json({
+            success: true,
+            message: `Order status updated to '${updatedOrder.status}'`,
+            data: {
+                _id: updatedOrder._id,
+                orderNumber: updatedOrder.orderNumber,
+                status: updatedOrder.status,
+                paymentStatus: updatedOrder.paymentStatus,
+                statusHistory: updatedOrder.statusHistory
+            }
+        });
+    } catch (error) {
+        console.error('❌ Order status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update order status'
+        });
+    }
+});
+
+// Admin category routes
+const parseCategoryFields = (body) => {
+    const fields = {};
+    const errors = [];
+
+    if (body.name !== undefined) {
+        fields.name = String(body.name).trim();
+        if (!fields.name) errors.push('name cannot be empty');
+    }
+    if (body.icon !== undefined) {
+        fields.icon = String(body.icon).trim();
+    }
+    if (body.displayOrder !== undefined) {
+        fields.displayOrder = Number(body.displayOrder);
+        if (!Number.isInteger(fields.displayOrder)) errors.push('displayOrder must be an integer');
+    }
+    if (body.isActive !== undefined) {
+        fields.isActive = body.isActive === true || body.isActive === 'true';
+    }
+
+    return { fields, errors };
+};
+
+app.get('/api/category', authMiddleware, requireRole('admin'), async (req, res) => {
+    try {
+        console.log('🗂️ List categories request');
+
+        await ensureCategories();
+        const categories = await Category.find({}).sort({ displayOrder: 1, name: 1 });
+
+        res.json({
+            success: true,
+            data: categories
+        });
+    } catch (error) {
+        console.error('❌ List categories error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list categories'
+        });
+    }
+});
+
+app.post('/api/category', authMiddleware, requireRole('admin'), uploadImage, async (req, res) => {
+    try {
+        console.log('🗂️ Create category request:', req.body);
+
+        const { fields, errors } = parseCategoryFields(req.body);
+        if (!fields.name) errors.push('name is required');
+
+        if (errors.length > 0) {
+            await removeImage(req.file?.filename);
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid category data',
+                errors
+            });
+        }
+
+        await ensureCategories();
+        const category = await Category.create({ ...fields, image: req.file?.filename });
+
+        console.log('✅ Category created:', category.name);
+
+        res.status(201).json({
+            success: true,
+            message: 'Category created',
+            data: category
+        });
+    } catch (error) {
+        console.error('❌ Create category error:', error);
+        await removeImage(req.file?.filename);
+        res.status(error.code === 11000 ? 409 : 500).json({
+            success: false,
+            message: error.code === 11000 ? 'A category with this name already exists' : 'Failed to create category'
+        });
+    }
+});
+
+app.put('/api/category/:id', authMiddleware, requireRole('admin'), uploadImage, async (req, res) => {
+    try {
+        console.log('🗂️ Update category request:', req.params.id, req.body);
+
+        const category = mongoose.isValidObjectId(req.params.id) ? await Category.findById(req.params.id) : null;
+        if (!category) {
+            await removeImage(req.file?.filename);
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        const { fields, errors } = parseCategoryFields(req.body);
+        if (errors.length > 0) {
+            await removeImage(req.file?.filename);
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid category data',
+                errors
+            });
+        }
+
+        const previousName = category.name;
+        const previousImage = category.image;
+        category.set(fields);
+        if (req.file) {
+            category.image = req.file.filename;
+        }
+
+        await category.save();
+
+        // Food items reference categories by name
+        if (category.name !== previousName) {
+            await Food.updateMany({ category: previousName }, { category: category.name });
+        }
+        if (req.file) {
+            await removeImage(previousImage);
+        }
+
+        console.log('✅ Category updated:', category.name);
+
+        res.json({
+            success: true,
+            message: 'Category updated',
+            data: category
+        });
+    } catch (error) {
+        console.error('❌ Update category error:', error);
+        await removeImage(req.file?.filename);
+        res.status(error.code === 11000 ? 409 : 500).json({
+            success: false,
+            message: error.code === 11000 ? 'A category with this name already exists' : 'Failed to update category'
+        });
+    }
+});
+
+app.delete('/api/category/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+    try {
+        console.log('🗂️ Delete category request:', req.params.id);
+
+        const category = mongoose.isValidObjectId(req.params.id) ? await Category.findById(req.params.id) : null;
+        if (!category) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category not found'
+            });
+        }
+
+        const itemCount = await Food.countDocuments({ category: category.name, isDeleted: { $ne: true } });
+        if (itemCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Category still has ${itemCount} food items; move them or deactivate the category instead`
+            });
+        }
+
+        await category.deleteOne();
+        await removeImage(category.image);
+
+        console.log('✅ Category deleted:', category.name);
+
+        res.json({
+            success: true,
+            message: 'Category deleted',
+            data: { _id: category._id }
+        });
+    } catch (error) {
+        console.error('❌ Delete category error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete category'
+        });
+    }
+});
+
+// Admin coupon routes
+const COUPON_FIELDS = ['code', 'description', 'discountType', 'value', 'maxDiscount', 'minOrderValue', 'categories',
+    'startsAt', 'expiresAt', 'usageLimit', 'perUserLimit', 'isActive'];
+
+const pickCouponFields = (body) => {
+    return Object.fromEntries(COUPON_FIELDS.filter(key => body[key] !== undefined).map(key => [key, body[key]]));
+};
+
+const couponErrorResponse = (res, error, message) => {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid coupon data: ' + error.message
+        });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({
+            success: false,
+            message: 'A coupon with this code already exists'
+        });
+    }
+    res.status(500).json({
+        success: false,
+        message
+    });
+};
+
+app.get('/api/coupon', authMiddleware, requireRole('admin'), async (req, res) => {
+    try {
+        console.log('🎟️ List coupons request');
+
+        const coupons = await Coupon.find({}).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: coupons
+        });
+    } catch (error) {
+        console.error('❌ List coupons error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to list coupons'
+        });
+    }
+});
+
+app.post('/api/coupon', authMiddleware, requireRole('admin'), async (req, res) => {
+    try {
+        console.log('🎟️ Create coupon request:', req.body);
+
+        const coupon = await Coupon.create(pickCouponFields(req.body));
+
+        console.log('✅ Coupon created:', coupon.code);
+
+        res.status(201).json({
+            success: true,
+            message: 'Coupon created',
+            data: coupon
+        });
+    } catch (error) {
+        console.error('❌ Create coupon error:', error);
+        couponErrorResponse(res, error, 'Failed to create coupon');
+    }
+});
+
+app.put('/api/coupon/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+    try {
+        console.log('🎟️ Update coupon request:', req.params.id, req.body);
+
+        const coupon = mongoose.isValidObjectId(req.params.id) ? await Coupon.findById(req.params.id) : null;
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        coupon.set(pickCouponFields(req.body));
+        await coupon.save();
+
+        console.log('✅ Coupon updated:', coupon.code);
+
+        res.json({
+            success: true,
+            message: 'Coupon updated',
+            data: coupon
+        });
+    } catch (error) {
+        console.error('❌ Update coupon error:', error);
+        couponErrorResponse(res, error, 'Failed to update coupon');
+    }
+});
+
+app.delete('/api/coupon/:id', authMiddleware, requireRole('admin'), async (req, res) => {
+    try {
+        console.log('🎟️ Delete coupon request:', req.params.id);
+
+        // Orders keep their own copy of the applied coupon, so hard delete is safe
+        const coupon = mongoose.isValidObjectId(req.params.id) ? await Coupon.findByIdAndDelete(req.params.id) : null;
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        console.log('✅ Coupon deleted:', coupon.code);
+
+        res.json({
+            success: true,
+            message: 'Coupon deleted',
+            data: { _id: coupon._id }
+        });
+    } catch (error) {
+        console.error('❌ Delete coupon error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete coupon'
+        });
+    }
+});
+
+// Payment routes
+app.post('/api/payment/webhook/:provider', async (req, res) => {
+    let provider;
+    let event;
+
+    try {
+        provider = getPaymentProvider(req.params.provider);
+    } catch (error) {
+        return res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    try {
+        event = provider.parseWebhook({ rawBody: req.rawBody || '', headers: req.headers });
+    } catch (error) {
+        console.error('❌ Payment webhook rejected:', error.message);
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid webhook: ' + error.message
+        });
+    }
+
+    try {
+        console.log(`💳 Payment webhook (${provider.name}):`, event.type, event.paymentId);
+
+        const order = await applyPaymentEvent(provider, event);
+        if (!order) {
+            console.log('Payment webhook for unknown payment:', event.paymentId);
+        }
+
+        res.json({
+            success: true,
+            received: true,
+            data: order ? { orderNumber: order.orderNumber, paymentStatus: order.paymentStatus } : null
+        });
+    } catch (error) {
+        console.error('❌ Payment webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process payment webhook'
+        });
+    }
+});
+
+app.post('/api/payment/mock/simulate', authMiddleware, async (req, res) => {
+    try {
+        if (process.env.NODE_ENV === 'production' || getPaymentProvider().name !== 'mock') {
+            return res.status(404).json({
+                success: false,
+                message: 'Mock payments are not enabled'
+            });
+        }
+
+        console.log('🧪 Simulate payment request:', req.body);
+
+        const { orderRef, outcome = 'succeeded' } = req.body;
+        const eventTypes = { succeeded: PAYMENT_EVENTS.SUCCEEDED, failed: PAYMENT_EVENTS.FAILED };
+
+        if (!eventTypes[outcome]) {
+            return res.status(400).json({
+                success: false,
+                message: "Outcome must be 'succeeded' or 'failed'"
+            });
+        }
+
+        const order = orderRef ? await findUserOrder(req.body.userId, orderRef) : null;
+        if (!order || !order.paymentId) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        // Go through signing and verification exactly like a real webhook
+        const provider = getPaymentProvider('mock');
+        const { rawBody, headers } = provider.signWebhook({ type: eventTypes[outcome], paymentId: order.paymentId });
+        const updatedOrder = await applyPaymentEvent(provider, provider.parseWebhook({ rawBody, headers }));
+
+        res.json({
+            success: true,
+            message: `Mock payment ${outcome}`,
+            data: {
+                orderNumber: updatedOrder.orderNumber,
+                paymentStatus: updatedOrder.paymentStatus
+            }
+        });
+    } catch (error) {
+        console.error('❌ Simulate payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to simulate payment: ' + error.message
+        });
+    }
+});
+
+// Pickup slot routes
+app.get('/api/pickup/slots', async (req, res) => {
+    try {
+        console.log('🕒 Pickup slots request:', req.query);
+
+        const day = req.query.date ? parseDateKey(req.query.date) : new Date();
+        if (!day) {
+            return res.status(400).json({
+                success: false,
+                message: 'Date must be in YYYY-MM-DD format'
+            });
+        }
+
+        const starts = getSlotStarts(day);
+        const bookings = await PickupSlot.find({ start: { $in: starts } });
+        const bookingsByStart = new Map(bookings.map(slot => [slot.start.getTime(), slot]));
+
+        const now = new Date();
+        const slots = starts.map(start => {
+            const booking = bookingsByStart.get(start.getTime());
+            const capacity = booking?.capacity ?? pickupConfig.slotCapacity;
+            const booked = booking?.booked || 0;
+            const remaining = Math.max(capacity - booked, 0);
+
+            return {
+                start,
+                end: getSlotEnd(start),
+                capacity,
+                booked,
+                remaining,
+                isAvailable: remaining > 0 && isSlotBookable(start, now)
+            };
+        });
+
+        res.json({
+            success: true,
+            data: {
+                date: toDateKey(day),
+                slots
+            }
+        });
+    } catch (error) {
+        console.error('❌ Pickup slots error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get pickup slots'
+        });
+    }
+});
+
+app.put('/api/pickup/slots/capacity', authMiddleware, requireRole('admin'), async (req, res) => {
+    try {
+        console.log('🕒 Pickup slot capacity request:', req.body);
+
+        const start = new Date(req.body.start);
+        const { capacity } = req.body;
+
+        if (isNaN(start) || !isSlotStart(start)) {
+            return res.status(400).json({
+                success: false,
+                message: 'start must be the start time of a pickup slot'
+            });
+        }
+
+        // null resets the slot to the configured default
+        if (capacity !== null && !(Number.isInteger(capacity) && capacity >= 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'capacity must be a non-negative integer or null'
+            });
+        }
+
+        const slot = await PickupSlot.findOneAndUpdate(
+            { start },
+            { capacity },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        console.log('✅ Pickup slot capacity updated:', start.toISOString(), capacity);
+
+        res.json({
+            success: true,
+            message: 'Pickup slot capacity updated',
+            data: {
+                start: slot.start,
+                end: getSlotEnd(slot.start),
+                capacity: slot.capacity ?? pickupConfig.slotCapacity,
+                booked: slot.booked
+            }
+        });
+    } catch (error) {
+        console.error('❌ Pickup slot capacity error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update pickup slot capacity'
+        });
+    }
+});
+
+// Wallet routes
+app.get('/api/wallet', authMiddleware, async (req, res) => {
+    try {
+        console.log('👛 Wallet request for user:', req.body.userId);
+
+        const userId = req.body.userId;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const transactions = await WalletTransaction.find({ userId })
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+        const totalTransactions = await WalletTransaction.countDocuments({ userId });
+
+        res.json({
+            success: true,
+            data: {
+                balance: roundMoney(req.user.walletBalance || 0),
+                transactions
+            },
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalTransactions / limit),
+                totalTransactions
+            }
+        });
+    } catch (error) {
+        console.error('❌ Wallet error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get wallet'
+        });
+    }
+});
+
+app.post('/api/wallet/topup', authMiddleware, requireRole('cashier', 'admin'), validateBody(REQUEST_SCHEMAS.walletTopup), async (req, res) => {
+    try {
+        console.log('💰 Wallet top-up request:', req.body);
+
+        const { email, amount, note } = req.body;
+
+        const user = await User.findOne({ email }).select('_id email');
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const transaction = await adjustWallet(user._id, amount, {
+            type: 'topup',
+            note,
+            createdBy: req.user._id
+        });
+
+        console.log(`✅ Wallet topped up: ${user.email} +${transaction.amount}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Wallet topped up',
+            data: transaction
+        });
+    } catch (error) {
+        console.error('❌ Wallet top-up error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to top up wallet'
+        });
+    }
+});
+
+// Kitchen routes
+app.get('/api/kitchen/stream', queryTokenMiddleware, authMiddleware, requireRole('kitchen', 'cashier', 'admin'), (req, res) => {
+    console.log('📡 Kitchen stream opened by:', req.user.email);
+
+    streamOrderEvents(req, res);
+});
+
+const KITCHEN_LATE_MINUTES = parseInt(process.env.KITCHEN_LATE_MINUTES) || 20;
+
+// Orders the kitchen still has to cook (later statuses are already out of the kitchen)
+const KITCHEN_PENDING_STATUSES = ['Food Processing', 'Confirmed', 'Preparing'];
+
+app.get('/api/kitchen/queue', authMiddleware, requireRole('kitchen', 'cashier', 'admin'), async (req, res) => {
+    try {
+        console.log('👨‍🍳 Kitchen queue request by:', req.user.email);
+
+        // Oldest first so late tickets are at the top
+        const orders = await Order.find({ status: { $nin: ['Delivered', 'Cancelled'] } })
+            .sort({ createdAt: 1 })
+            .select('orderNumber items status paymentStatus fulfilmentType pickupSlot createdAt');
+
+        const now = Date.now();
+        const pendingItems = new Map();
+
+        const queue = orders.map(order => {
+            const elapsedMinutes = Math.floor((now - order.createdAt.getTime()) / 60000);
+
+            if (KITCHEN_PENDING_STATUSES.includes(order.status)) {
+                for (const item of order.items) {
+                    // Different options are cooked differently, so they are counted apart
+                    const optionNames = (item.options || []).map(option => option.name);
+                    const key = `${item.foodId?.toString() || item.name}|${optionNames.join('|')}`;
+                    const entry = pendingItems.get(key) || { foodId: item.foodId, name: item.name, options: optionNames, quantity: 0, orderCount: 0 };
+                    entry.quantity += item.quantity;
+                    entry.orderCount += 1;
+                    pendingItems.set(key, entry);
+                }
+            }
+
+            return {
+                _id: order._id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                paymentStatus: order.paymentStatus,
+                fulfilmentType: order.fulfilmentType,
+                pickupSlot: order.pickupSlot?.start ? order.pickupSlot : undefined,
+                items: order.items.map(item => ({
+                    foodId: item.foodId,
+                    name: item.name,
+                    quantity: item.quantity,
+                    options: item.options,
+                    instructions: item.instructions
+                })),
+                createdAt: order.createdAt,
+                elapsedMinutes,
+                isLate: elapsedMinutes >= KITCHEN_LATE_MINUTES
+            };
+        });
+
+        const itemTotals = [...pendingItems.values()]
+            .sort((a, b) => b.quantity - a.quantity)
+            .map(entry => ({
+                ...entry,
+                label: `${entry.quantity}× ${entry.name}${entry.options.length > 0 ? ` (${entry.options.join(', ')})` : ''} pending`
+            }));
+
+        res.json({
+            success: true,
+            data: {
+                orders: queue,
+                itemTotals,
+                summary: {
+                    activeOrders: queue.length,
+                    lateOrders: queue.filter(order => order.isLate).length,
+                    lateAfterMinutes: KITCHEN_LATE_MINUTES
+                }
+            }
+        });
+    } catch (error) {
+        console.error('❌ Kitchen queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get kitchen queue'
+        });
+    }
+});
+
+// User routes
+// A failed merge should not fail the sign-in; the guest cart stays for a retry
+const mergeGuestCartOnSignIn = async (user, req) => {
+    const guestToken = req.headers['x-guest-token'];
+    if (!guestToken) {
+        return undefined;
+    }
+
+    try {
+        return await mergeGuestCart(user._id, String(guestToken)) ?? undefined;
+    } catch (error) {
+        console.error('❌ Guest cart merge error:', error);
+        return undefined;
+    }
+};
+
+app.post('/api/user/register', validateBody(REQUEST_SCHEMAS.register), async (req, res) => {
+    try {
+        console.log('📝 Register request:', req.body);
+
+        const { name, email, password } = req.body;
+
+        // Check if user exists
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                message: 'User already exists'
+            });
+        }
+
+        // Hash password
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        // Create user
+        const user = new User({
+            name,
+            email,
+            password: hashedPassword,
+            role: 'customer'
+        });
+
+        await user.save();
+
+        // A mail outage should not stop the signup; the user can ask for a new link
+        await sendVerificationEmail(user).catch(error => {
+            console.error('❌ Verification email error:', error);
+        });
+
+        const tokens = await issueTokens(user);
+        const cartMerge = await mergeGuestCartOnSignIn(user, req);
+
+        console.log('✅ User registered:', email);
+
+        res.status(201).json({
+            success: true,
+            message: 'User registered successfully',
+            ...tokens,
+            cartMerge,
+            user: {
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                emailVerified: user.emailVerified
+            }
+        });
+    } catch (error) {
+        console.error('❌ Registration error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Registration failed: ' + error.message
+        });
+    }
+});
+
+app.post('/api/user/login', async (req, res) => {
+    try {
+        console.log('🔑 Login request:', req.body);
+
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email and password are required'
+            });
+        }
+
+        // Find user
+        const user = await User.findOne({ email });
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        // Check password
+        const isMatch = await bcrypt.compare(password, user.password);
+        if (!isMatch) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        const tokens = await issueTokens(user);
+        const cartMerge = await mergeGuestCartOnSignIn(user, req);
+
+        console.log('✅ User logged in:', email);
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            ...tokens,
+            cartMerge,
+            user: {
+                _id: user._id,
+                name: user.name,
+                email: user.email,
+                role: user.role,
+                emailVerified: user.emailVerified
+            }
+        });
+    } catch (error) {
+        console.error('❌ Login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed: ' + error.message
+        });
+    }
+});
+
+app.post('/api/user/refresh', async (req, res) => {
+    try {
+        console.log('🔄 Token refresh request');
+
+        const { refreshToken } = req.body;
+        if (typeof refreshToken !== 'string' || !refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'refreshToken is required'
+            });
+        }
+
+        // Claiming the token atomically lets only one of two concurrent refreshes win
+        const tokenHash = hashToken(refreshToken);
+        const now = new Date();
+        const stored = await RefreshToken.findOneAndUpdate(
+            { tokenHash, usedAt: null, expiresAt: { $gt: now } },
+            { usedAt: now }
+        );
+
+        if (!stored) {
+            const reused = await RefreshToken.findOne({ tokenHash, usedAt: { $ne: null } });
+            if (reused) {
+                console.warn('⚠️ Refresh token reused, revoking its family for user:', reused.userId.toString());
+                await RefreshToken.deleteMany({ family: reused.family });
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        const user = await User.findById(stored.userId);
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const tokens = await issueTokens(user, stored.family);
+
+        res.json({
+            success: true,
+            message: 'Token refreshed',
+            ...tokens
+        });
+    } catch (error) {
+        console.error('❌ Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh token'
+        });
+    }
+});
+
+// Ends this device's session. Its access token stays valid until it expires.
+app.post('/api/user/logout', async (req, res) => {
+    try {
+        console.log('👋 Logout request');
+
+        const { refreshToken } = req.body;
+        if (typeof refreshToken !== 'string' || !refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'refreshToken is required'
+            });
+        }
+
+        const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+        if (stored) {
+            await RefreshToken.deleteMany({ family: stored.family });
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+    } catch (error) {
+        console.error('❌ Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log out'
+        });
+    }
+});
+
+// Revokes every refresh token and, through tokenVersion, every access token
+app.post('/api/user/logout-all', authMiddleware, async (req, res) => {
+    try {
+        console.log('👋 Logout all devices request for user:', req.body.userId);
+
+        await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+        const { deletedCount } = await RefreshToken.deleteMany({ userId: req.user._id });
+
+        console.log(`✅ Logged out everywhere, ${deletedCount} refresh tokens revoked`);
+
+        res.json({
+            success: true,
+            message: 'Logged out on all devices'
+        });
+    } catch (error) {
+        console.error('❌ Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log out on all devices'
+        });
+    }
+});
+
+app.post('/api/user/verify-email', validateBody(REQUEST_SCHEMAS.emailToken), async (req, res) => {
+    try {
+        console.log('📧 Verify email request');
+
+        const accountToken = await consumeAccountToken(req.body.token, 'email_verification');
+        if (!accountToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'This verification link is invalid or has expired'
+            });
+        }
+
+        const user = await promoteListedAdmin(await User.findByIdAndUpdate(accountToken.userId, {
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+        }, { new: true }));
+
+        console.log('✅ Email verified:', user?.email);
+
+        res.json({
+            success: true,
+            message: 'Email address verified'
+        });
+    } catch (error) {
+        console.error('❌ Verify email error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify email'
+        });
+    }
+});
+
+app.post('/api/user/resend-verification', authMiddleware, async (req, res) => {
+    try {
+        console.log('📧 Resend verification request for user:', req.body.userId);
+
+        if (req.user.emailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email address is already verified'
+            });
+        }
+
+        await sendVerificationEmail(req.user);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        console.error('❌ Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send verification email'
+        });
+    }
+});
+
+// Always answers the same way so the route cannot be used to find accounts
+app.post('/api/user/forgot-password', validateBody(REQUEST_SCHEMAS.forgotPassword), async (req, res) => {
+    try {
+        console.log('🔐 Forgot password request');
+
+        // A mail failure is only logged, or an outage would reveal which accounts exist
+        const user = await User.findOne({ email: req.body.email });
+        if (user) {
+            await sendPasswordResetEmail(user).catch(error => {
+                console.error('❌ Password reset email error:', error);
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a reset link has been sent'
+        });
+    } catch (error) {
+        console.error('❌ Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start password reset'
+        });
+    }
+});
+
+// Signs the user out everywhere, since the old password may have been compromised
+app.post('/api/user/reset-password', validateBody(REQUEST_SCHEMAS.resetPassword), async (req, res) => {
+    try {
+        console.log('🔐 Reset password request');
+
+        const { token, password } = req.body;
+
+        const accountToken = await consumeAccountToken(token, 'password_reset');
+        if (!accountToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'This reset link is invalid or has expired'
+            });
+        }
+
+        // Following the emailed link also proves the address
+        const user = await promoteListedAdmin(await User.findByIdAndUpdate(accountToken.userId, {
+            password: await bcrypt.hash(password, 10),
+            $inc: { tokenVersion: 1 },
+            emailVerified: true
+        }, { new: true }));
+        await RefreshToken.deleteMany({ userId: accountToken.userId });
+
+        console.log('✅ Password reset for', user?.email);
+
+        res.json({
+            success: true,
+            message: 'Password updated, please log in again'
+        });
+    } catch (error) {
+        console.error('❌ Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset password'
+        });
+    }
+});
+
+// Profile and address book
+const formatAddressBook = (user) => ({
+    addresses: user.addresses.map(address => ({
+        ...address.toObject(),
+        isDefault: address._id.equals(user.defaultAddressId)
+    })),
+    defaultAddressId: user.defaultAddressId
+});
+
+const formatProfile = (user) => ({
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    emailVerified: user.emailVerified,
+    phone: user.phone,
+    role: user.role,
+    allergenPreferences: user.allergenPreferences,
+    dietaryPreferences: user.dietaryPreferences,
+    walletBalance: user.walletBalance,
+    ...formatAddressBook(user)
+});
+
+app.get('/api/user/profile', authMiddleware, (req, res) => {
+    res.json({
+        success: true,
+        data: formatProfile(req.user)
+    });
+});
+
+app.put('/api/user/profile', authMiddleware, validateBody(REQUEST_SCHEMAS.profile), async (req, res) => {
+    try {
+        console.log('👤 Update profile request:', req.body);
+
+        const { userId, ...update } = req.body;
+        const user = await User.findByIdAndUpdate(userId, update, { new: true, runValidators: true }).select('-password');
+
+        console.log('✅ Profile updated for', user.email);
+
+        res.json({
+            success: true,
+            message: 'Profile updated',
+            data: formatProfile(user)
+        });
+    } catch (error) {
+        console.error('❌ Update profile error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update profile'
+        });
+    }
+});
+
+app.get('/api/user/addresses', authMiddleware, (req, res) => {
+    res.json({
+        success: true,
+        data: formatAddressBook(req.user)
+    });
+});
+
+app.post('/api/user/addresses', authMiddleware, validateBody(REQUEST_SCHEMAS.savedAddress), async (req, res) => {
+    try {
+        console.log('🏠 Add address request:', req.body);
+
+        const { userId, isDefault, ...fields } = req.body;
+        const user = req.user;
+
+        if (user.addresses.length >= MAX_SAVED_ADDRESSES) {
+            return res.status(400).json({
+                success: false,
+                message: `You can save at most ${MAX_SAVED_ADDRESSES} addresses`
+            });
+        }
+
+        if (!ADDRESS_FIELDS.some(field => fields[field])) {
+            return res.status(400).json({
+                success: false,
+                message: 'An address needs at least one address field'
+            });
+        }
+
+        user.addresses.push(fields);
+        const address = user.addresses[user.addresses.length - 1];
+
+        // The first address saved becomes the default
+        if (isDefault || !user.defaultAddressId) {
+            user.defaultAddressId = address._id;
+        }
+        await user.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Address saved',
+            data: formatAddressBook(user)
+        });
+    } catch (error) {
+        console.error('❌ Add address error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save address'
+        });
+    }
+});
+
+app.put('/api/user/addresses/:addressId', authMiddleware, validateBody(REQUEST_SCHEMAS.savedAddress), async (req, res) => {
+    try {
+        console.log('🏠 Update address request:', req.params.addressId, req.body);
+
+        const { userId, isDefault, ...fields } = req.body;
+        const user = req.user;
+        const address = mongoose.isValidObjectId(req.params.addressId) ? user.addresses.id(req.params.addressId) : null;
 
-        if (!user) {
-            return res.status(401).json({
+        if (!address) {
+            return res.status(404).json({
                 success: false,
-                message: 'User not found'
+                message: 'Saved address not found'
             });
         }
 
-        req.user = user;
-        req.body.userId = user._id.toString();
-        next();
+        address.set(fields);
+        if (isDefault) {
+            user.defaultAddressId = address._id;
+        } else if (isDefault === false && address._id.equals(user.defaultAddressId)) {
+            user.defaultAddressId = null;
+        }
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Address updated',
+            data: formatAddressBook(user)
+        });
     } catch (error) {
-        console.error('Auth error:', error);
-        res.status(401).json({
+        console.error('❌ Update address error:', error);
+        res.status(500).json({
             success: false,
-            message: 'Authentication failed'
+            message: 'Failed to update address'
         });
     }
-};
+});
 
-// Cart routes
-app.post('/api/cart/add', authMiddleware, async (req, res) => {
+app.delete('/api/user/addresses/:addressId', authMiddleware, async (req, res) => {
     try {
-        console.log('🛒 Add to cart request:', req.body);
+        console.log('🏠 Delete address request:', req.params.addressId);
 
-        const { itemId, quantity = 1 } = req.body;
-        const userId = req.body.userId;
+        const user = req.user;
+        const address = mongoose.isValidObjectId(req.params.addressId) ? user.addresses.id(req.params.addressId) : null;
 
-        // Get user
-        const user = await User.findById(userId);
-        if (!user) {
+        if (!address) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found'
+                message: 'Saved address not found'
             });
         }
 
-        // Update cart
-        let cartData = user.cartData || {};
-        if (cartData[itemId]) {
-            cartData[itemId] += quantity;
-        } else {
-            cartData[itemId] = quantity;
+        address.deleteOne();
+        // Another address takes over as default, if there is one
+        if (address._id.equals(user.defaultAddressId)) {
+            user.defaultAddressId = user.addresses[0]?._id ?? null;
         }
-
-        // Save to database
-        await User.findByIdAndUpdate(userId, { cartData });
-
-        console.log('✅ Item added to cart');
+        await user.save();
 
         res.json({
             success: true,
-            message: 'Item added to cart',
-            data: {
-                itemId,
-                quantity: cartData[itemId]
-            }
+            message: 'Address deleted',
+            data: formatAddressBook(user)
         });
     } catch (error) {
-        console.error('❌ Add to cart error:', error);
+        console.error('❌ Delete address error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to add item to cart'
+            message: 'Failed to delete address'
         });
     }
 });
 
-app.post('/api/cart/remove', authMiddleware, async (req, res) => {
+// Other devices are signed out; this one gets fresh tokens
+app.put('/api/user/profile/password', authMiddleware, validateBody(REQUEST_SCHEMAS.changePassword), async (req, res) => {
     try {
-        console.log('🗑️ Remove from cart request:', req.body);
+        console.log('🔐 Change password request for user:', req.body.userId);
 
-        const { itemId, quantity = 1 } = req.body;
-        const userId = req.body.userId;
+        const { currentPassword, newPassword } = req.body;
 
-        // Get user
-        const user = await User.findById(userId);
-        if (!user) {
-            return res.status(404).json({
+        const user = await User.findById(req.user._id);
+        if (!await bcrypt.compare(currentPassword, user.password)) {
+            return res.status(401).json({
                 success: false,
-                message: 'User not found'
+                message: 'Current password is incorrect'
             });
         }
 
-        // Update cart
-        let cartData = user.cartData || {};
-        if (cartData[itemId]) {
-            cartData[itemId] -= quantity;
-            if (cartData[itemId] <= 0) {
-                delete cartData[itemId];
-            }
-        }
-
-        // Save to database
-        await User.findByIdAndUpdate(userId, { cartData });
+        user.password = await bcrypt.hash(newPassword, 10);
+        user.tokenVersion += 1;
+        await user.save();
+        await RefreshToken.deleteMany({ userId: user._id });
+        // An emailed reset link must not undo the change
+        await AccountToken.deleteMany({ userId: user._id, type: 'password_reset' });
 
-        console.log('✅ Item removed from cart');
+        console.log('✅ Password changed for', user.email);
 
         res.json({
             success: true,
-            message: 'Item removed from cart',
-            data: {
-                itemId,
-                quantity: cartData[itemId] || 0
-            }
+            message: 'Password updated',
+            ...await issueTokens(user)
         });
     } catch (error) {
-        console.error('❌ Remove from cart error:', error);
+        console.error('❌ Change password error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to remove item from cart'
+            message: 'Failed to change password'
         });
     }
 });
 
-app.post('/api/cart/get', authMiddleware, async (req, res) => {
+app.get('/api/user/preferences', authMiddleware, async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            allergenPreferences: req.user.allergenPreferences,
+            dietaryPreferences: req.user.dietaryPreferences
+        }
+    });
+});
+
+app.put('/api/user/preferences', authMiddleware, async (req, res) => {
     try {
-        console.log('📋 Get cart request for user:', req.body.userId);
+        console.log('🥗 Update preferences request:', req.body);
 
-        const userId = req.body.userId;
+        const update = {};
+        if (req.body.allergenPreferences !== undefined) {
+            update.allergenPreferences = parseList(req.body.allergenPreferences);
+        }
+        if (req.body.dietaryPreferences !== undefined) {
+            update.dietaryPreferences = parseList(req.body.dietaryPreferences);
+        }
 
-        // Get user
-        const user = await User.findById(userId);
-        if (!user) {
-            return res.status(404).json({
+        const unknown = [
+            ...(update.allergenPreferences || []).filter(allergen => !ALLERGENS.includes(allergen)),
+            ...(update.dietaryPreferences || []).filter(diet => !DIETARY_TAGS.includes(diet))
+        ];
+        if (unknown.length > 0) {
+            return res.status(400).json({
                 success: false,
-                message: 'User not found'
+                message: `Unknown preferences: ${unknown.join(', ')}. Allergens: ${ALLERGENS.join(', ')}. Diets: ${DIETARY_TAGS.join(', ')}`
             });
         }
 
-        const cartData = user.cartData || {};
-        const cartItems = [];
-        let totalAmount = 0;
-        let totalItems = 0;
-
-        // Get food details for each cart item
-        for (const [itemId, quantity] of Object.entries(cartData)) {
-            if (quantity > 0) {
-                try {
-                    const foodItem = await Food.findById(itemId);
-                    if (foodItem) {
-                        const itemTotal = foodItem.price * quantity;
-                        cartItems.push({
-                            _id: foodItem._id,
-                            name: foodItem.name,
-                            description: foodItem.description,
-                            price: foodItem.price,
-                            image: foodItem.image,
-                            category: foodItem.category,
-                            quantity: quantity,
-                            total: itemTotal,
-                            isAvailable: foodItem.isAvailable
-                        });
-                        totalAmount += itemTotal;
-                        totalItems += quantity;
-                    }
-                } catch (err) {
-                    console.log('Food item not found:', itemId);
-                }
-            }
-        }
+        const user = await User.findByIdAndUpdate(req.body.userId, update, { new: true });
 
-        console.log(`✅ Cart retrieved: ${cartItems.length} items, total: $${totalAmount}`);
+        console.log('✅ Preferences updated for', user.email);
 
         res.json({
             success: true,
+            message: 'Preferences updated',
             data: {
-                items: cartItems,
-                summary: {
-                    itemCount: cartItems.length,
-                    totalItems,
-                    totalAmount,
-                    deliveryFee: totalAmount > 0 ? 2 : 0,
-                    finalAmount: totalAmount > 0 ? totalAmount + 2 : 0
-                }
+                allergenPreferences: user.allergenPreferences,
+                dietaryPreferences: user.dietaryPreferences
             }
         });
     } catch (error) {
-        console.error('❌ Get cart error:', error);
+        console.error('❌ Update preferences error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to get cart data'
+            message: 'Failed to update preferences'
         });
     }
 });
 
-app.delete('/api/cart/clear', authMiddleware, async (req, res) => {
+// Favourites
+app.get('/api/user/favourites', authMiddleware, async (req, res) => {
     try {
-        console.log('🧹 Clear cart request for user:', req.body.userId);
+        console.log('❤️ Favourites request for user:', req.body.userId);
 
-        const userId = req.body.userId;
-
-        // Clear cart
-        await User.findByIdAndUpdate(userId, { cartData: {} });
-
-        console.log('✅ Cart cleared');
+        await resetDailyStock();
+        const foods = await Food.find({ _id: { $in: req.user.favourites }, isDeleted: { $ne: true } });
+        const now = new Date();
 
         res.json({
             success: true,
-            message: 'Cart cleared successfully'
+            data: foods.map(food => ({
+                ...food.toObject(),
+                isOffered: isOfferedAt(food, now)
+            }))
         });
     } catch (error) {
-        console.error('❌ Clear cart error:', error);
+        console.error('❌ Favourites error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to clear cart'
+            message: 'Failed to get favourites'
         });
     }
 });
 
-// Order routes
-app.post('/api/order/place', authMiddleware, async (req, res) => {
+app.post('/api/user/favourites', authMiddleware, async (req, res) => {
     try {
-        console.log('📦 Place order request:', req.body);
-
-        const { address, paymentId } = req.body;
-        const userId = req.body.userId;
+        console.log('❤️ Add favourite request:', req.body);
 
-        // Validate required address fields
-        if (!address || !address.firstName || !address.lastName || !address.email ||
-            !address.street || !address.city || !address.state || !address.zipcode ||
-            !address.country || !address.phone) {
-            console.log('❌ Address validation failed. Received address:', address);
-            return res.status(400).json({
-                success: false,
-                message: 'Complete delivery address is required',
-                missingFields: {
-                    firstName: !address?.firstName,
-                    lastName: !address?.lastName,
-                    email: !address?.email,
-                    street: !address?.street,
-                    city: !address?.city,
-                    state: !address?.state,
-                    zipcode: !address?.zipcode,
-                    country: !address?.country,
-                    phone: !address?.phone
-                }
-            });
-        }
+        const { foodId } = req.body;
+        const food = mongoose.isValidObjectId(foodId)
+            ? await Food.findOne({ _id: foodId, isDeleted: { $ne: true } })
+            : null;
 
-        // Get user and cart data
-        const user = await User.findById(userId);
-        if (!user) {
+        if (!food) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found'
-            });
-        }
-
-        const cartData = user.cartData || {};
-        const cartItems = Object.entries(cartData).filter(([_, quantity]) => quantity > 0);
-
-        if (cartItems.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cart is empty'
+                message: 'Food item not found'
             });
         }
 
-        // Build order items with current prices
-        const orderItems = [];
-        let subtotal = 0;
-
-        for (const [itemId, quantity] of cartItems) {
-            const foodItem = await Food.findById(itemId);
-            if (!foodItem) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Food item not found: ${itemId}`
-                });
-            }
+        const user = await User.findByIdAndUpdate(req.body.userId, { $addToSet: { favourites: food._id } }, { new: true });
 
-            if (!foodItem.isAvailable) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Food item is no longer available: ${foodItem.name}`
-                });
-            }
+        res.json({
+            success: true,
+            message: `${food.name} added to favourites`,
+            data: { favourites: user.favourites }
+        });
+    } catch (error) {
+        console.error('❌ Add favourite error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add favourite'
+        });
+    }
+});
 
-            const itemTotal = foodItem.price * quantity;
-            subtotal += itemTotal;
+app.delete('/api/user/favourites/:foodId', authMiddleware, async (req, res) => {
+    try {
+        console.log('💔 Remove favourite request:', req.params.foodId);
 
-            orderItems.push({
-                foodId: foodItem._id,
-                name: foodItem.name,
-                price: foodItem.price,
-                quantity: quantity,
-                image: foodItem.image
+        if (!mongoose.isValidObjectId(req.params.foodId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Food item not found'
             });
         }
 
-        const deliveryFee = 2;
-        const totalAmount = subtotal + deliveryFee;
+        const user = await User.findByIdAndUpdate(req.body.userId, { $pull: { favourites: req.params.foodId } }, { new: true });
 
-        // Create order
-        const order = new Order({
-            userId: userId,
-            items: orderItems,
-            amount: subtotal,
-            deliveryFee: deliveryFee,
-            totalAmount: totalAmount,
-            address: address,
-            status: 'Food Processing',
-            paymentStatus: 'Pending',
-            paymentId: paymentId || null
-        });
-
-        await order.save();
-
-        // Clear user's cart
-        await User.findByIdAndUpdate(userId, { cartData: {} });
-
-        console.log('✅ Order placed successfully:', order.orderNumber);
-
-        res.status(201).json({
+        res.json({
             success: true,
-            message: 'Order placed successfully',
-            data: {
-                orderId: order._id,
-                orderNumber: order.orderNumber,
-                totalAmount: order.totalAmount,
-                status: order.status,
-                estimatedDelivery: '30-45 minutes',
-                items: orderItems,
-                address: address
-            }
+            message: 'Removed from favourites',
+            data: { favourites: user.favourites }
         });
     } catch (error) {
-        console.error('❌ Place order error:', error);
+        console.error('❌ Remove favourite error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to place order: ' + error.message
+            message: 'Failed to remove favourite'
         });
     }
 });
 
-app.post('/api/order/userorders', authMiddleware, async (req, res) => {
+// Admin user routes
+app.get('/api/admin/users', authMiddleware, requireRole('admin'), async (req, res) => {
     try {
-        console.log('📋 Get user orders request for user:', req.body.userId);
+        console.log('👥 List users request:', req.query);
 
-        const userId = req.body.userId;
-        const { page = 1, limit = 10 } = req.body;
+        const { role } = req.query;
+        if (role !== undefined && !USER_ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${USER_ROLES.join(', ')}`
+            });
+        }
 
-        // Calculate pagination
-        const skip = (page - 1) * limit;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+        const filter = role ? { role } : {};
 
-        // Get orders for user, sorted by creation date (newest first)
-        const orders = await Order.find({ userId })
+        const users = await User.find(filter)
+            .select('name email role createdAt')
             .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(parseInt(limit))
-            .populate('items.foodId', 'name description category isAvailable');
-
-        // Get total count for pagination
-        const totalOrders = await Order.countDocuments({ userId });
-        const totalPages = Math.ceil(totalOrders / limit);
-
-        // Format orders for response
-        const formattedOrders = orders.map(order => ({
-            _id: order._id,
-            orderNumber: order.orderNumber,
-            items: order.items.map(item => ({
-                _id: item.foodId?._id || item.foodId,
-                name: item.name,
-                price: item.price,
-                quantity: item.quantity,
-                image: item.image,
-                total: item.price * item.quantity,
-                isAvailable: item.foodId?.isAvailable || false
-            })),
-            amount: order.amount,
-            deliveryFee: order.deliveryFee,
-            totalAmount: order.totalAmount,
-            address: order.address,
-            status: order.status,
-            paymentStatus: order.paymentStatus,
-            paymentId: order.paymentId,
-            createdAt: order.createdAt,
-            updatedAt: order.updatedAt
-        }));
-
-        console.log(`✅ Retrieved ${orders.length} orders for user`);
+            .skip((page - 1) * limit)
+            .limit(limit);
+        const totalUsers = await User.countDocuments(filter);
 
         res.json({
             success: true,
-            data: formattedOrders,
+            data: users,
             pagination: {
-                currentPage: parseInt(page),
-                totalPages,
-                totalOrders,
-                hasNextPage: page < totalPages,
-                hasPrevPage: page > 1
-            },
-            message: orders.length > 0 ? `Found ${orders.length} orders` : 'No orders found'
+                currentPage: page,
+                totalPages: Math.ceil(totalUsers / limit),
+                totalUsers
+            }
         });
     } catch (error) {
-        console.error('❌ Get orders error:', error);
+        console.error('❌ List users error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to get orders: ' + error.message
+            message: 'Failed to list users'
         });
     }
 });
 
-// User routes
-app.post('/api/user/register', async (req, res) => {
+app.patch('/api/admin/users/:id/role', authMiddleware, requireRole('admin'), async (req, res) => {
     try {
-        console.log('📝 Register request:', req.body);
+        console.log('🛡️ Change role request:', req.params.id, req.body);
 
-        const { name, email, password } = req.body;
+        const { role } = req.body;
 
-        if (!name || !email || !password) {
+        if (!USER_ROLES.includes(role)) {
             return res.status(400).json({
                 success: false,
-                message: 'Name, email, and password are required'
+                message: `Role must be one of: ${USER_ROLES.join(', ')}`
             });
         }
 
-        // Check if user exists
-        const existingUser = await User.findOne({ email });
-        if (existingUser) {
+        // Prevent admins from locking themselves out
+        if (req.params.id === req.user._id.toString()) {
             return res.status(400).json({
                 success: false,
-                message: 'User already exists'
+                message: 'You cannot change your own role'
             });
         }
 
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
+        const user = mongoose.isValidObjectId(req.params.id)
+            ? await User.findByIdAndUpdate(req.params.id, { role }, { new: true }).select('name email role')
+            : null;
 
-        // Create user
-        const user = new User({
-            name,
-            email,
-            password: hashedPassword
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        console.log(`✅ ${user.email} is now ${user.role}`);
+
+        res.json({
+            success: true,
+            message: 'User role updated',
+            data: user
+        });
+    } catch (error) {
+        console.error('❌ Change role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update user role'
         });
+    }
+});
 
-        await user.save();
+// Admin review moderation
+app.get('/api/admin/reviews', authMiddleware, requireRole('admin'), async (req, res) => {
+    try {
+        console.log('⭐ List reviews request:', req.query);
 
-        const token = createToken(user._id);
+        const { foodId, hidden, maxRating } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
 
-        console.log('✅ User registered:', email);
+        const filter = {};
+        if (foodId && mongoose.isValidObjectId(foodId)) filter.foodId = foodId;
+        if (hidden !== undefined) filter.isHidden = hidden === 'true';
+        if (maxRating !== undefined) filter.rating = { $lte: Number(maxRating) || 5 };
 
-        res.status(201).json({
+        const reviews = await Review.find(filter)
+            .populate('userId', 'name email')
+            .populate('foodId', 'name')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit);
+        const totalReviews = await Review.countDocuments(filter);
+
+        res.json({
             success: true,
-            message: 'User registered successfully',
-            token,
-            user: {
-                _id: user._id,
-                name: user.name,
-                email: user.email
+            data: reviews,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalReviews / limit),
+                totalReviews
             }
         });
     } catch (error) {
-        console.error('❌ Registration error:', error);
+        console.error('❌ List reviews error:', error);
         res.status(500).json({
             success: false,
-            message: 'Registration failed: ' + error.message
+            message: 'Failed to list reviews'
         });
     }
 });
 
-app.post('/api/user/login', async (req, res) => {
+app.patch('/api/admin/reviews/:id/visibility', authMiddleware, requireRole('admin'), async (req, res) => {
     try {
-        console.log('🔑 Login request:', req.body);
+        console.log('🙈 Review visibility request:', req.params.id, req.body);
 
-        const { email, password } = req.body;
+        const { isHidden, reason } = req.body;
 
-        if (!email || !password) {
+        if (typeof isHidden !== 'boolean') {
             return res.status(400).json({
                 success: false,
-                message: 'Email and password are required'
+                message: 'isHidden must be true or false'
             });
         }
 
-        // Find user
-        const user = await User.findOne({ email });
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid credentials'
-            });
-        }
+        const review = mongoose.isValidObjectId(req.params.id)
+            ? await Review.findByIdAndUpdate(req.params.id, {
+                isHidden,
+                moderation: {
+                    reason: typeof reason === 'string' ? reason.trim() : undefined,
+                    moderatedBy: req.user._id,
+                    moderatedAt: new Date()
+                }
+            }, { new: true })
+            : null;
 
-        // Check password
-        const isMatch = await bcrypt.compare(password, user.password);
-        if (!isMatch) {
-            return res.status(401).json({
+        if (!review) {
+            return res.status(404).json({
                 success: false,
-                message: 'Invalid credentials'
+                message: 'Review not found'
             });
         }
 
-        const token = createToken(user._id);
+        await refreshFoodRating(review.foodId);
 
-        console.log('✅ User logged in:', email);
+        console.log(`✅ Review ${review._id} is now ${isHidden ? 'hidden' : 'visible'}`);
 
         res.json({
             success: true,
-            message: 'Login successful',
-            token,
-            user: {
-                _id: user._id,
-                name: user.name,
-                email: user.email
-            }
+            message: isHidden ? 'Review hidden' : 'Review visible again',
+            data: review
         });
     } catch (error) {
-        console.error('❌ Login error:', error);
+        console.error('❌ Review visibility error:', error);
         res.status(500).json({
             success: false,
-            message: 'Login failed: ' + error.message
+            message: 'Failed to update review'
         });
     }
 });
@@ -741,6 +4682,28 @@ app.use((err, req, res, next) => {
 // Database connection and server start
 const startServer = async () => {
     try {
+        // Tokens signed with a guessable secret could be forged by anyone
+        const secretProblem = getJwtSecretProblem();
+        if (secretProblem) {
+            throw new Error(`${secretProblem}. Refusing to start.`);
+        }
+
+        // Same for the mock provider's webhook signatures
+        const paymentProblem = getPaymentConfigProblem();
+        if (paymentProblem) {
+            throw new Error(`${paymentProblem}. Refusing to start.`);
+        }
+
+        // Everything but password reset and email verification works without mail
+        if (!isOnlinePaymentEnabled()) {
+            console.warn('⚠️  No payment provider set up (PAYMENT_PROVIDER). Online payments are off; orders are paid from the wallet.');
+        }
+
+        const mailProblem = getMailConfigProblem();
+        if (mailProblem) {
+            console.warn(`⚠️  ${mailProblem}. Verification and password reset emails will not be sent.`);
+        }
+
         console.log('🔌 Connecting to MongoDB...');
         console.log('📍 URI:', process.env.MONGODB_URI?.substring(0, 50) + '...');
 
@@ -750,6 +4713,15 @@ const startServer = async () => {
         });
 
         console.log('✅ Connected to MongoDB successfully');
+
+        // Promote verified accounts listed in ADMIN_EMAILS that already exist
+        if (ADMIN_EMAILS.length > 0) {
+            const { modifiedCount } = await User.updateMany(
+                { email: { $in: ADMIN_EMAILS }, emailVerified: true, role: { $ne: 'admin' } },
+                { role: 'admin' }
+            );
+            console.log(`🛡️  Admin accounts from ADMIN_EMAILS: ${ADMIN_EMAILS.length} listed, ${modifiedCount} promoted`);
+        }
         console.log('🗄️  Database:', mongoose.connection.name);
 
         app.listen(port, () => {
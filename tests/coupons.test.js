@@ -0,0 +1,58 @@
+// Tests for coupon evaluation
+import assert from 'assert';
+import { evaluateCoupon } from '../utils/coupons.js';
+
+const testCouponEvaluation = () => {
+    console.log('Testing coupon evaluation...');
+
+    const items = [
+        { category: 'Pizza', price: 12.99, quantity: 2 },
+        { category: 'Salad', price: 8.99, quantity: 1 }
+    ];
+    const subtotal = 34.97;
+    const baseCoupon = { isActive: true, usedCount: 0, categories: [], minOrderValue: 0 };
+
+    // Percentage discount
+    const percent = evaluateCoupon({ ...baseCoupon, discountType: 'percentage', value: 10 }, { items, subtotal });
+    assert.strictEqual(percent.valid, true);
+    assert.strictEqual(percent.discount, 3.5);
+    console.log('✅ Percentage discount test passed:', percent.discount);
+
+    // Percentage discount with a cap
+    const capped = evaluateCoupon({ ...baseCoupon, discountType: 'percentage', value: 50, maxDiscount: 5 }, { items, subtotal });
+    assert.strictEqual(capped.discount, 5);
+    console.log('✅ Capped discount test passed:', capped.discount);
+
+    // Fixed discount never exceeds the eligible amount
+    const fixed = evaluateCoupon({ ...baseCoupon, discountType: 'fixed', value: 100 }, { items, subtotal });
+    assert.strictEqual(fixed.discount, subtotal);
+    console.log('✅ Fixed discount test passed:', fixed.discount);
+
+    // Category restriction
+    const salads = evaluateCoupon({ ...baseCoupon, discountType: 'percentage', value: 50, categories: ['Salad'] }, { items, subtotal });
+    assert.strictEqual(salads.eligibleSubtotal, 8.99);
+    assert.strictEqual(salads.discount, 4.5);
+    assert.deepStrictEqual(salads.eligibleCategories, ['Salad']);
+    assert.strictEqual(fixed.eligibleCategories, null);
+    const noMatch = evaluateCoupon({ ...baseCoupon, discountType: 'fixed', value: 5, categories: ['Cake'] }, { items, subtotal });
+    assert.strictEqual(noMatch.valid, false);
+    console.log('✅ Category restriction test passed');
+
+    // Rejections
+    const now = new Date('2026-01-15T12:00:00Z');
+    assert.strictEqual(evaluateCoupon({ ...baseCoupon, isActive: false, discountType: 'fixed', value: 5 }, { items, subtotal }).valid, false);
+    assert.strictEqual(evaluateCoupon({ ...baseCoupon, discountType: 'fixed', value: 5, expiresAt: new Date('2026-01-01') }, { items, subtotal, now }).valid, false);
+    assert.strictEqual(evaluateCoupon({ ...baseCoupon, discountType: 'fixed', value: 5, startsAt: new Date('2026-02-01') }, { items, subtotal, now }).valid, false);
+    assert.strictEqual(evaluateCoupon({ ...baseCoupon, discountType: 'fixed', value: 5, minOrderValue: 50 }, { items, subtotal }).valid, false);
+    assert.strictEqual(evaluateCoupon({ ...baseCoupon, discountType: 'fixed', value: 5, usageLimit: 10, usedCount: 10 }, { items, subtotal }).valid, false);
+    assert.strictEqual(evaluateCoupon({ ...baseCoupon, discountType: 'fixed', value: 5, perUserLimit: 1 }, { items, subtotal, userUsageCount: 1 }).valid, false);
+    assert.strictEqual(evaluateCoupon(null, { items, subtotal }).valid, false);
+    console.log('✅ Coupon rejection tests passed');
+
+    console.log('All coupon tests completed successfully!');
+};
+
+// Run tests
+testCouponEvaluation();
+
+export { testCouponEvaluation };
@@ -0,0 +1,90 @@
+// Tests for item customizations
+import assert from 'assert';
+import { buildLineKey, normalizeSelections, resolveSelections, validateOptionGroups } from '../utils/customizations.js';
+
+const testCustomizations = () => {
+    console.log('Testing item customizations...');
+
+    const pizza = {
+        price: 12.99,
+        optionGroups: [
+            {
+                name: 'Size',
+                required: true,
+                maxSelections: 1,
+                options: [{ name: 'Regular', priceDelta: 0 }, { name: 'Large', priceDelta: 3 }]
+            },
+            {
+                name: 'Extras',
+                minSelections: 0,
+                maxSelections: 2,
+                options: [
+                    { name: 'Extra cheese', priceDelta: 1.5 },
+                    { name: 'Olives', priceDelta: 0.75 },
+                    { name: 'Truffle', priceDelta: 5, isAvailable: false }
+                ]
+            }
+        ]
+    };
+
+    // Pricing with options
+    const large = resolveSelections(pizza, normalizeSelections([
+        { group: 'Size', options: ['Large'] },
+        { group: 'Extras', options: ['Extra cheese'] }
+    ]));
+    assert.strictEqual(large.valid, true);
+    assert.strictEqual(large.unitPrice, 17.49);
+    assert.strictEqual(large.options.length, 2);
+    console.log('✅ Option pricing test passed:', large.unitPrice);
+
+    // Required groups and limits
+    assert.strictEqual(resolveSelections(pizza, []).valid, false);
+    assert.strictEqual(resolveSelections(pizza, normalizeSelections([
+        { group: 'Size', options: ['Regular', 'Large'] }
+    ])).valid, false);
+    assert.strictEqual(resolveSelections(pizza, normalizeSelections([
+        { group: 'Size', options: ['Regular'] },
+        { group: 'Extras', options: ['Extra cheese', 'Olives', 'Truffle'] }
+    ])).valid, false);
+    assert.strictEqual(resolveSelections(pizza, normalizeSelections([
+        { group: 'Size', options: ['Regular'] },
+        { group: 'Extras', options: ['Truffle'] }
+    ])).valid, false);
+    assert.strictEqual(resolveSelections(pizza, normalizeSelections([
+        { group: 'Size', options: ['Huge'] }
+    ])).valid, false);
+    assert.strictEqual(resolveSelections(pizza, normalizeSelections([
+        { group: 'Size', options: ['Regular'] },
+        { group: 'Sauce', options: ['BBQ'] }
+    ])).valid, false);
+    console.log('✅ Selection rules test passed');
+
+    // Negative deltas cannot push the price below zero
+    const side = { price: 2, optionGroups: [{ name: 'Size', options: [{ name: 'Mini', priceDelta: -5 }] }] };
+    assert.strictEqual(resolveSelections(side, normalizeSelections([{ group: 'Size', options: ['Mini'] }])).unitPrice, 0);
+    console.log('✅ Price floor test passed');
+
+    // Plain dishes keep legacy keys; equal selections share a key
+    assert.strictEqual(buildLineKey('abc'), 'abc');
+    const a = buildLineKey('abc', normalizeSelections([{ group: 'Extras', options: ['Olives', 'Extra cheese'] }]), 'no onions');
+    const b = buildLineKey('abc', normalizeSelections([{ group: 'Extras', options: ['Extra cheese', 'Olives'] }]), 'no onions');
+    const c = buildLineKey('abc', normalizeSelections([{ group: 'Extras', options: ['Olives'] }]), 'no onions');
+    assert.strictEqual(a, b);
+    assert.notStrictEqual(a, c);
+    assert.notStrictEqual(a, buildLineKey('abc', normalizeSelections([{ group: 'Extras', options: ['Olives', 'Extra cheese'] }])));
+    console.log('✅ Line key test passed');
+
+    // Admin validation
+    assert.deepStrictEqual(validateOptionGroups(pizza.optionGroups), []);
+    assert.ok(validateOptionGroups([{ name: 'Size', options: [] }]).length > 0);
+    assert.ok(validateOptionGroups([{ name: 'Size', minSelections: 2, maxSelections: 1, options: [{ name: 'A' }] }]).length > 0);
+    assert.ok(validateOptionGroups('nope').length > 0);
+    console.log('✅ Option group validation test passed');
+
+    console.log('All customization tests completed successfully!');
+};
+
+// Run tests
+testCustomizations();
+
+export { testCustomizations };
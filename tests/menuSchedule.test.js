@@ -0,0 +1,49 @@
+// Tests for menu scheduling
+import assert from 'assert';
+import { getServicePeriod, isOfferedAt, isOfferedOnDay } from '../utils/menuSchedule.js';
+
+const testMenuSchedule = () => {
+    console.log('Testing menu schedule...');
+
+    const windows = {
+        breakfast: { start: '07:00', end: '10:30' },
+        lunch: { start: '11:30', end: '14:30' }
+    };
+
+    // Monday 2026-10-19
+    const mondayLunch = new Date(2026, 9, 19, 12, 30);
+    const mondayAfternoon = new Date(2026, 9, 19, 16, 0);
+    const tuesdayBreakfast = new Date(2026, 9, 20, 8, 0);
+
+    assert.strictEqual(getServicePeriod(mondayLunch, windows), 'lunch');
+    assert.strictEqual(getServicePeriod(tuesdayBreakfast, windows), 'breakfast');
+    assert.strictEqual(getServicePeriod(mondayAfternoon, windows), null);
+    assert.strictEqual(getServicePeriod(new Date(2026, 9, 19, 14, 30), windows), null);
+    console.log('✅ Service period test passed');
+
+    // Unscheduled items are always offered
+    const always = { schedule: { weekdays: [], dates: [], periods: [] } };
+    assert.ok(isOfferedAt(always, mondayAfternoon, windows));
+    assert.ok(isOfferedAt({}, mondayAfternoon, windows));
+    console.log('✅ Unscheduled item test passed');
+
+    // Weekday and period restrictions
+    const mondayLunchOnly = { schedule: { weekdays: [1], dates: [], periods: ['lunch'] } };
+    assert.ok(isOfferedAt(mondayLunchOnly, mondayLunch, windows));
+    assert.ok(!isOfferedAt(mondayLunchOnly, mondayAfternoon, windows));
+    assert.ok(!isOfferedAt(mondayLunchOnly, tuesdayBreakfast, windows));
+    console.log('✅ Weekday and period restriction test passed');
+
+    // Specific dates add to weekdays
+    const special = { schedule: { weekdays: [1], dates: ['2026-10-20'], periods: [] } };
+    assert.ok(isOfferedOnDay(special, tuesdayBreakfast));
+    assert.ok(!isOfferedOnDay(special, new Date(2026, 9, 21)));
+    console.log('✅ Specific date test passed');
+
+    console.log('All menu schedule tests completed successfully!');
+};
+
+// Run tests
+testMenuSchedule();
+
+export { testMenuSchedule };
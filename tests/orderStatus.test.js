@@ -0,0 +1,39 @@
+// Tests for the order status state machine
+import assert from 'assert';
+import { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS, canTransition, isFinalStatus } from '../utils/orderStatus.js';
+
+const testOrderStatusTransitions = () => {
+    console.log('Testing order status transitions...');
+
+    // Every status has a transition entry
+    ORDER_STATUSES.forEach(status => assert.ok(Array.isArray(ORDER_STATUS_TRANSITIONS[status])));
+    console.log('✅ Transition table covers all statuses');
+
+    // Happy path
+    assert.ok(canTransition('Food Processing', 'Confirmed'));
+    assert.ok(canTransition('Confirmed', 'Preparing'));
+    assert.ok(canTransition('Preparing', 'Out for delivery'));
+    assert.ok(canTransition('Out for delivery', 'Delivered'));
+    console.log('✅ Forward transitions test passed');
+
+    // Illegal jumps
+    assert.ok(!canTransition('Delivered', 'Preparing'));
+    assert.ok(!canTransition('Food Processing', 'Delivered'));
+    assert.ok(!canTransition('Cancelled', 'Confirmed'));
+    assert.ok(!canTransition('Out for delivery', 'Cancelled'));
+    assert.ok(!canTransition('Preparing', 'Preparing'));
+    assert.ok(!canTransition('Unknown', 'Confirmed'));
+    console.log('✅ Illegal transitions test passed');
+
+    assert.ok(isFinalStatus('Delivered'));
+    assert.ok(isFinalStatus('Cancelled'));
+    assert.ok(!isFinalStatus('Preparing'));
+    console.log('✅ Final status test passed');
+
+    console.log('All order status tests completed successfully!');
+};
+
+// Run tests
+testOrderStatusTransitions();
+
+export { testOrderStatusTransitions };
@@ -0,0 +1,61 @@
+// Tests for the mock payment provider's webhook signatures
+import assert from 'assert';
+import mockProvider from '../utils/payments/mockProvider.js';
+import { PAYMENT_EVENTS, getPaymentProvider, getPaymentConfigProblem } from '../utils/payments/index.js';
+
+const testPayments = () => {
+    console.log('Testing mock payment webhooks...');
+
+    process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+    const event = { type: PAYMENT_EVENTS.SUCCEEDED, paymentId: 'mock_pi_123' };
+
+    // A freshly signed webhook verifies
+    const signed = mockProvider.signWebhook(event);
+    const parsed = mockProvider.parseWebhook(signed);
+    assert.strictEqual(parsed.type, PAYMENT_EVENTS.SUCCEEDED);
+    assert.strictEqual(parsed.paymentId, 'mock_pi_123');
+    assert.ok(parsed.id.startsWith('mock_evt_'));
+    console.log('✅ Valid signature test passed');
+
+    // Changed body, changed signature or another secret
+    const tamperedBody = signed.rawBody.replace('mock_pi_123', 'mock_pi_456');
+    assert.throws(() => mockProvider.parseWebhook({ ...signed, rawBody: tamperedBody }), /Invalid webhook signature/);
+    const header = signed.headers['x-mock-signature'];
+    const tamperedHeader = header.replace(/v1=(.)/, (match, first) => `v1=${first === 'a' ? 'b' : 'a'}`);
+    assert.throws(() => mockProvider.parseWebhook({ ...signed, headers: { 'x-mock-signature': tamperedHeader } }), /Invalid webhook signature/);
+    process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'another-secret';
+    assert.throws(() => mockProvider.parseWebhook(signed), /Invalid webhook signature/);
+    process.env.MOCK_PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+    console.log('✅ Tampered signature test passed');
+
+    // Signed more than five minutes ago
+    const realNow = Date.now;
+    Date.now = () => realNow() - 10 * 60 * 1000;
+    const old = mockProvider.signWebhook(event);
+    Date.now = realNow;
+    assert.throws(() => mockProvider.parseWebhook(old), /expired/);
+    console.log('✅ Expired signature test passed');
+
+    // No or malformed signature header
+    assert.throws(() => mockProvider.parseWebhook({ rawBody: signed.rawBody, headers: {} }), /Missing webhook signature/);
+    assert.throws(() => mockProvider.parseWebhook({ rawBody: signed.rawBody, headers: { 'x-mock-signature': 'garbage' } }), /Missing webhook signature/);
+    console.log('✅ Missing signature test passed');
+
+    // The secret is required, and the mock is refused in production
+    delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+    assert.strictEqual(getPaymentConfigProblem(), 'MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+    assert.throws(() => mockProvider.signWebhook(event), /MOCK_PAYMENT_WEBHOOK_SECRET is not set/);
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    assert.throws(() => getPaymentProvider('mock'), /Unknown payment provider/);
+    process.env.NODE_ENV = nodeEnv;
+    if (nodeEnv === undefined) delete process.env.NODE_ENV;
+    console.log('✅ Configuration test passed');
+
+    console.log('All payment tests completed successfully!');
+};
+
+// Run tests
+testPayments();
+
+export { testPayments };
@@ -0,0 +1,47 @@
+// Tests for the pickup slot calendar
+import assert from 'assert';
+import { getSlotStarts, getSlotEnd, isSlotStart, isSlotBookable } from '../utils/pickupSlots.js';
+
+const testPickupSlots = () => {
+    console.log('Testing pickup slots...');
+
+    const config = { openingTime: '11:00', closingTime: '12:00', slotMinutes: 20, minLeadMinutes: 10 };
+
+    // Slots fill the opening hours of the given day
+    const starts = getSlotStarts(new Date(2026, 9, 19, 16, 45), config);
+    assert.deepStrictEqual(starts.map(start => start.getTime()), [
+        new Date(2026, 9, 19, 11, 0).getTime(),
+        new Date(2026, 9, 19, 11, 20).getTime(),
+        new Date(2026, 9, 19, 11, 40).getTime()
+    ]);
+    assert.strictEqual(getSlotEnd(starts[2], config).getTime(), new Date(2026, 9, 19, 12, 0).getTime());
+
+    // A slot that would run past closing is left out
+    const uneven = getSlotStarts(new Date(2026, 9, 19), { ...config, slotMinutes: 25 });
+    assert.strictEqual(uneven.length, 2);
+    console.log('✅ Slot calendar test passed');
+
+    // Only exact slot boundaries are slots
+    assert.strictEqual(isSlotStart(new Date(2026, 9, 19, 11, 20), config), true);
+    assert.strictEqual(isSlotStart(new Date(2026, 9, 19, 11, 25), config), false);
+    assert.strictEqual(isSlotStart(new Date(2026, 9, 19, 12, 0), config), false);
+    assert.strictEqual(isSlotStart(new Date(2026, 9, 19, 10, 40), config), false);
+    console.log('✅ Slot boundary test passed');
+
+    // Bookable: later today with enough lead time
+    const now = new Date(2026, 9, 19, 11, 5);
+    assert.strictEqual(isSlotBookable(new Date(2026, 9, 19, 11, 20), now, config), true);
+    assert.strictEqual(isSlotBookable(new Date(2026, 9, 19, 11, 0), now, config), false);
+    assert.strictEqual(isSlotBookable(new Date(2026, 9, 19, 11, 20), new Date(2026, 9, 19, 11, 15), config), false);
+    assert.strictEqual(isSlotBookable(new Date(2026, 9, 19, 11, 30), now, config), false);
+    assert.strictEqual(isSlotBookable(new Date(2026, 9, 20, 11, 20), now, config), false);
+    assert.strictEqual(isSlotBookable(new Date(2026, 10, 19, 11, 20), now, config), false);
+    console.log('✅ Bookable slot test passed');
+
+    console.log('All pickup slot tests completed successfully!');
+};
+
+// Run tests
+testPickupSlots();
+
+export { testPickupSlots };
@@ -0,0 +1,75 @@
+// Tests for the pricing engine
+import assert from 'assert';
+import { calculatePricing, calculateDeliveryFee } from '../utils/pricing.js';
+
+const testPricing = () => {
+    console.log('Testing pricing engine...');
+
+    const config = {
+        delivery: { fee: 2, deskFee: 0.5, freeAbove: 50 },
+        tax: { defaultRate: 0.1, categoryRates: { Salad: 0 } }
+    };
+    const items = [
+        { name: 'Margherita Pizza', category: 'Pizza', price: 12.99, quantity: 2 },
+        { name: 'Caesar Salad', category: 'Salad', price: 8.99, quantity: 1 }
+    ];
+
+    // Basic breakdown
+    const pricing = calculatePricing({ items }, config);
+    assert.strictEqual(pricing.subtotal, 34.97);
+    assert.strictEqual(pricing.tax, 2.6);
+    assert.strictEqual(pricing.deliveryFee, 2);
+    assert.strictEqual(pricing.total, 39.57);
+    assert.deepStrictEqual(pricing.taxBreakdown, [{ category: 'Pizza', rate: 0.1, taxableAmount: 25.98, tax: 2.6 }]);
+    assert.strictEqual(pricing.lines[0].lineTotal, 25.98);
+    assert.strictEqual(pricing.lines[0].name, 'Margherita Pizza');
+    console.log('✅ Itemized breakdown test passed:', pricing.total);
+
+    // Tax applies after discount
+    const discounted = calculatePricing({ items, discount: 10 }, config);
+    assert.strictEqual(discounted.discount, 10);
+    assert.strictEqual(discounted.taxBreakdown[0].taxableAmount, 18.55);
+    assert.strictEqual(discounted.tax, 1.86);
+    assert.strictEqual(discounted.total, 28.83);
+    console.log('✅ Discounted tax test passed:', discounted.total);
+
+    // A category coupon only lowers the taxable amount of its own lines
+    const saladOnly = calculatePricing({ items, discount: 4.5, discountCategories: ['Salad'] }, config);
+    assert.strictEqual(saladOnly.taxBreakdown[0].taxableAmount, 25.98);
+    assert.strictEqual(saladOnly.tax, 2.6);
+    assert.strictEqual(saladOnly.total, 35.07);
+    const pizzaOnly = calculatePricing({ items, discount: 100, discountCategories: ['Pizza'] }, config);
+    assert.strictEqual(pizzaOnly.discount, 25.98);
+    assert.strictEqual(pizzaOnly.tax, 0);
+    console.log('✅ Category discount tax test passed:', saladOnly.total);
+
+    // A full discount still pays delivery
+    const free = calculatePricing({ items, discount: 100 }, config);
+    assert.strictEqual(free.discount, 34.97);
+    assert.strictEqual(free.deliveryFee, 2);
+    assert.strictEqual(free.total, 2);
+    console.log('✅ Full discount delivery test passed:', free.total);
+
+    // Delivery fee rules
+    assert.strictEqual(calculateDeliveryFee(20, 'delivery', config), 2);
+    assert.strictEqual(calculateDeliveryFee(50, 'delivery', config), 0);
+    assert.strictEqual(calculateDeliveryFee(20, 'pickup', config), 0);
+    assert.strictEqual(calculateDeliveryFee(20, 'desk', config), 0.5);
+    assert.strictEqual(calculateDeliveryFee(0, 'delivery', config), 0);
+    assert.strictEqual(calculateDeliveryFee(60, 'delivery', config, 20), 2);
+    assert.strictEqual(calculateDeliveryFee(80, 'delivery', { ...config, delivery: { fee: 3, freeAbove: null } }), 3);
+    console.log('✅ Delivery fee rules test passed');
+
+    // Empty cart
+    const empty = calculatePricing({ items: [] }, config);
+    assert.strictEqual(empty.total, 0);
+    assert.strictEqual(empty.deliveryFee, 0);
+    console.log('✅ Empty cart test passed');
+
+    console.log('All pricing tests completed successfully!');
+};
+
+// Run tests
+testPricing();
+
+export { testPricing };
@@ -0,0 +1,62 @@
+// Tests for request body validation
+import assert from 'assert';
+import { validate } from '../utils/validate.js';
+
+const testValidation = () => {
+    console.log('Testing request validation...');
+
+    const schema = {
+        itemId: { type: 'objectId', required: true },
+        quantity: { type: 'integer', min: 1, max: 20, default: 1 },
+        note: { type: 'string', minLength: 2, maxLength: 10 },
+        method: { type: 'string', enum: ['online', 'wallet'], default: 'online' },
+        tags: { type: 'array', maxLength: 2, items: { type: 'string' } },
+        address: { type: 'object', fields: { city: { type: 'string', required: true } } }
+    };
+
+    // Valid input with defaults filled in and unknown fields dropped
+    const valid = validate(schema, { itemId: '64b7f0c2a1b2c3d4e5f60718', note: '  hi  ', extra: true });
+    assert.deepStrictEqual(valid.errors, []);
+    assert.deepStrictEqual(valid.value, { itemId: '64b7f0c2a1b2c3d4e5f60718', quantity: 1, note: 'hi', method: 'online' });
+    assert.deepStrictEqual(validate({ password: { type: 'string', trim: false } }, { password: '  secret  ' }).value, { password: '  secret  ' });
+    console.log('✅ Defaults and trimming test passed');
+
+    // Strict types
+    const strings = validate(schema, { itemId: 'abc', quantity: '2' });
+    assert.deepStrictEqual(strings.errors, ['itemId must be a valid id', 'quantity must be a whole number']);
+    assert.deepStrictEqual(validate(schema, { itemId: '64b7f0c2a1b2c3d4e5f60718', quantity: 1.5 }).errors, ['quantity must be a whole number']);
+    console.log('✅ Type check test passed');
+
+    // Ranges, lengths and enums
+    const limits = validate(schema, {
+        itemId: '64b7f0c2a1b2c3d4e5f60718',
+        quantity: -1,
+        note: 'far too long a note',
+        method: 'cash',
+        tags: ['a', 'b', 'c']
+    });
+    assert.deepStrictEqual(limits.errors, [
+        'quantity must be at least 1',
+        'note must have at most 10 characters',
+        'method must be one of: online, wallet',
+        'tags must have at most 2 items'
+    ]);
+    assert.deepStrictEqual(validate(schema, { itemId: '64b7f0c2a1b2c3d4e5f60718', quantity: 21 }).errors, ['quantity must be at most 20']);
+    assert.deepStrictEqual(validate(schema, { itemId: '64b7f0c2a1b2c3d4e5f60718', note: ' a ' }).errors, ['note must have at least 2 characters']);
+    console.log('✅ Limit tests passed');
+
+    // Required fields, nested objects and array items
+    assert.deepStrictEqual(validate(schema, {}).errors, ['itemId is required']);
+    assert.deepStrictEqual(validate(schema, { itemId: '   ' }).errors, ['itemId is required']);
+    assert.deepStrictEqual(validate(schema, null).errors, ['itemId is required']);
+    const nested = validate(schema, { itemId: '64b7f0c2a1b2c3d4e5f60718', tags: ['a', 3], address: {} });
+    assert.deepStrictEqual(nested.errors, ['tags[1] must be text', 'address.city is required']);
+    console.log('✅ Nested validation test passed');
+
+    console.log('All validation tests completed successfully!');
+};
+
+// Run tests
+testValidation();
+
+export { testValidation };
@@ -0,0 +1,60 @@
+import { roundMoney } from './pricing.js';
+
+// Coupon evaluation
+//
+// Pure checks for whether a coupon applies to a cart and how much it takes
+// off. Usage counts come from the caller so this stays database-free.
+
+const invalid = (message) => ({ valid: false, message, discount: 0, eligibleSubtotal: 0, eligibleCategories: null });
+
+// items: [{ category, price, quantity }]
+export const evaluateCoupon = (coupon, { items, subtotal, userUsageCount = 0, now = new Date() }) => {
+    if (!coupon || !coupon.isActive) {
+        return invalid('Coupon not found');
+    }
+    if (coupon.startsAt && now < coupon.startsAt) {
+        return invalid('Coupon is not active yet');
+    }
+    if (coupon.expiresAt && now > coupon.expiresAt) {
+        return invalid('Coupon has expired');
+    }
+    if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+        return invalid('Coupon usage limit reached');
+    }
+    if (coupon.perUserLimit != null && userUsageCount >= coupon.perUserLimit) {
+        return invalid('You have already used this coupon');
+    }
+    if (subtotal < (coupon.minOrderValue || 0)) {
+        return invalid(`Minimum order value for this coupon is ${coupon.minOrderValue}`);
+    }
+
+    // Category-restricted coupons only discount matching items
+    const categories = coupon.categories || [];
+    const eligibleSubtotal = roundMoney(categories.length === 0
+        ? subtotal
+        : items
+            .filter(item => categories.includes(item.category))
+            .reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+    if (eligibleSubtotal <= 0) {
+        return invalid(`Coupon only applies to: ${categories.join(', ')}`);
+    }
+
+    let discount = coupon.discountType === 'percentage'
+        ? eligibleSubtotal * coupon.value / 100
+        : coupon.value;
+
+    if (coupon.maxDiscount != null) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+    discount = roundMoney(Math.min(discount, eligibleSubtotal));
+
+    // eligibleCategories is null when the coupon covers the whole cart
+    return {
+        valid: true,
+        message: 'Coupon applied',
+        discount,
+        eligibleSubtotal,
+        eligibleCategories: categories.length > 0 ? categories : null
+    };
+};
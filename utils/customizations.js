@@ -0,0 +1,128 @@
+import crypto from 'crypto';
+import { roundMoney } from './pricing.js';
+
+// Item customizations
+//
+// A food's optionGroups describe choices such as size or add-ons:
+//   { name, required, minSelections, maxSelections, options: [{ name, priceDelta, isAvailable }] }
+// Clients send selections as [{ group, options: [names] }]. The same dish with
+// different selections or instructions becomes a separate cart line.
+
+export const MAX_INSTRUCTIONS_LENGTH = 200;
+
+// Sorted, de-duplicated selections so equal choices compare equal
+export const normalizeSelections = (selections = []) => {
+    if (!Array.isArray(selections)) return [];
+
+    return selections
+        .filter(selection => selection && selection.group)
+        .map(selection => ({
+            group: String(selection.group).trim(),
+            options: [...new Set((Array.isArray(selection.options) ? selection.options : [selection.options])
+                .filter(option => option !== undefined && option !== null)
+                .map(option => String(option).trim()))].sort()
+        }))
+        .filter(selection => selection.options.length > 0)
+        .sort((a, b) => a.group.localeCompare(b.group));
+};
+
+export const normalizeInstructions = (instructions) => {
+    return typeof instructions === 'string' ? instructions.trim().slice(0, MAX_INSTRUCTIONS_LENGTH) : '';
+};
+
+// Plain dishes keep the food id as their key, matching older carts
+export const buildLineKey = (itemId, selections = [], instructions = '') => {
+    if (selections.length === 0 && !instructions) {
+        return String(itemId);
+    }
+    const hash = crypto.createHash('sha1').update(JSON.stringify([selections, instructions])).digest('hex');
+    return `${itemId}-${hash.slice(0, 12)}`;
+};
+
+// Check selections against the food's option groups and price the line
+export const resolveSelections = (food, selections = []) => {
+    const errors = [];
+    const options = [];
+    const groups = food.optionGroups || [];
+    const selectionsByGroup = new Map(selections.map(selection => [selection.group, selection.options]));
+
+    for (const group of selectionsByGroup.keys()) {
+        if (!groups.some(candidate => candidate.name === group)) {
+            errors.push(`Unknown option group: ${group}`);
+        }
+    }
+
+    for (const group of groups) {
+        const chosen = selectionsByGroup.get(group.name) || [];
+        const min = Math.max(group.minSelections || 0, group.required ? 1 : 0);
+        const max = group.maxSelections ?? group.options.length;
+
+        if (chosen.length < min) {
+            errors.push(`Choose at least ${min} from ${group.name}`);
+        }
+        if (chosen.length > max) {
+            errors.push(`Choose at most ${max} from ${group.name}`);
+        }
+
+        for (const name of chosen) {
+            const option = group.options.find(candidate => candidate.name === name);
+            if (!option) {
+                errors.push(`Unknown option in ${group.name}: ${name}`);
+            } else if (option.isAvailable === false) {
+                errors.push(`${name} is not available right now`);
+            } else {
+                options.push({ group: group.name, name: option.name, priceDelta: option.priceDelta || 0 });
+            }
+        }
+    }
+
+    // Options may lower the price (a smaller size) but never below zero
+    const unitPrice = Math.max(roundMoney(food.price + options.reduce((sum, option) => sum + option.priceDelta, 0)), 0);
+    return { valid: errors.length === 0, errors, options, unitPrice };
+};
+
+// Structural checks for option groups set by admins
+export const validateOptionGroups = (groups) => {
+    if (!Array.isArray(groups)) {
+        return ['optionGroups must be a list'];
+    }
+
+    const errors = [];
+    const groupNames = new Set();
+
+    for (const group of groups) {
+        const name = typeof group?.name === 'string' ? group.name.trim() : '';
+        if (!name) {
+            errors.push('Every option group needs a name');
+            continue;
+        }
+        if (groupNames.has(name)) {
+            errors.push(`Duplicate option group: ${name}`);
+        }
+        groupNames.add(name);
+
+        const options = Array.isArray(group.options) ? group.options : [];
+        if (options.length === 0) {
+            errors.push(`${name} needs at least one option`);
+        }
+
+        const optionNames = new Set();
+        for (const option of options) {
+            if (!option?.name || optionNames.has(option.name)) {
+                errors.push(`${name} has a missing or duplicate option name`);
+            }
+            optionNames.add(option?.name);
+            if (option?.priceDelta !== undefined && !Number.isFinite(option.priceDelta)) {
+                errors.push(`${name}: priceDelta of ${option.name} must be a number`);
+            }
+        }
+
+        const min = group.minSelections ?? 0;
+        const max = group.maxSelections ?? options.length;
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < 1 || min > max) {
+            errors.push(`${name}: minSelections and maxSelections must be integers with 0 <= min <= max and max >= 1`);
+        }
+    }
+
+    return errors;
+};
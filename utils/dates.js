@@ -0,0 +1,24 @@
+// Calendar day helpers. Days are in server local time; set TZ to the
+// cafeteria's timezone when deploying.
+
+// Parse YYYY-MM-DD as a local calendar day
+export const parseDateKey = (dateKey) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey || '');
+    if (!match) return null;
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date.getDate() === Number(match[3]) ? date : null;
+};
+
+export const toDateKey = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Minutes since midnight for an HH:MM string or a Date
+export const toMinutes = (time) => {
+    if (time instanceof Date) {
+        return time.getHours() * 60 + time.getMinutes();
+    }
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+// Prints messages to the server log instead of sending them
+
+const consoleTransport = {
+    name: 'console',
+    localOnly: true,
+
+    async send({ from, to, subject, text }) {
+        const id = `console_${crypto.randomBytes(8).toString('hex')}`;
+        console.log(`📧 Mail ${id}\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`);
+        return { id };
+    }
+};
+
+export default consoleTransport;
@@ -0,0 +1,32 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Writes each message to its own .eml file in MAIL_OUTBOX_DIR (default
+// mail-outbox), which mail clients can open
+
+const getOutboxDir = () => process.env.MAIL_OUTBOX_DIR || 'mail-outbox';
+
+const fileTransport = {
+    name: 'file',
+    localOnly: true,
+
+    async send({ from, to, subject, text }) {
+        const id = `file_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+        const message = [
+            `From: ${from}`,
+            `To: ${to}`,
+            `Subject: ${subject}`,
+            `Date: ${new Date().toUTCString()}`,
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            text
+        ].join('\r\n');
+
+        await fs.mkdir(getOutboxDir(), { recursive: true });
+        await fs.writeFile(path.join(getOutboxDir(), `${id}.eml`), message);
+        return { id };
+    }
+};
+
+export default fileTransport;
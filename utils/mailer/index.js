@@ -0,0 +1,61 @@
+import consoleTransport from './consoleTransport.js';
+import fileTransport from './fileTransport.js';
+
+// Mail transport registry
+//
+// A transport is an object with:
+//   name                                   - key used in MAIL_TRANSPORT
+//   send({ from, to, subject, text })      - resolves to { id } once the message is handed off
+//   localOnly                              - true if it must not be used in production
+//
+// The console and file transports are for local testing: one prints messages
+// to the server log, the other writes them to MAIL_OUTBOX_DIR. A real
+// transport (SMTP, an email API) registers itself the same way.
+//
+// MAIL_TRANSPORT has no default, so a deployment never silently logs reset
+// links instead of mailing them. Until a usable transport is set up the server
+// still runs, but sendMail rejects and the routes that mail report it.
+
+export const MAIL_FROM = process.env.MAIL_FROM || 'Food Delivery <no-reply@localhost>';
+
+const transports = new Map();
+
+export const registerMailTransport = (transport) => {
+    transports.set(transport.name, transport);
+};
+
+export const getMailTransport = (name = process.env.MAIL_TRANSPORT) => {
+    if (!name) {
+        throw new Error('MAIL_TRANSPORT is not set');
+    }
+    const transport = transports.get(name);
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return transport;
+};
+
+// Why mail cannot be sent with the current settings, or null when it can
+export const getMailConfigProblem = () => {
+    let transport;
+    try {
+        transport = getMailTransport();
+    } catch (error) {
+        return error.message;
+    }
+    if (transport.localOnly && process.env.NODE_ENV === 'production') {
+        return `MAIL_TRANSPORT=${transport.name} is for local testing and cannot be used in production`;
+    }
+    return null;
+};
+
+export const sendMail = async ({ to, subject, text }) => {
+    const problem = getMailConfigProblem();
+    if (problem) {
+        throw new Error(`Mail is not set up: ${problem}`);
+    }
+    return getMailTransport().send({ from: MAIL_FROM, to, subject, text });
+};
+
+registerMailTransport(consoleTransport);
+registerMailTransport(fileTransport);
@@ -0,0 +1,57 @@
+import { serviceWindows } from '../config/menu.js';
+import { toDateKey, toMinutes } from './dates.js';
+
+// Menu scheduling
+//
+// A food's schedule says on which days and in which service periods it is
+// offered:
+//   weekdays - 0 (Sunday) to 6; dates - YYYY-MM-DD; periods - service period names
+// Empty weekdays and dates mean every day; empty periods mean all day.
+
+// Service period containing the given time, or null between services
+export const getServicePeriod = (date, windows = serviceWindows) => {
+    const minutes = toMinutes(date);
+    const match = Object.entries(windows)
+        .find(([, window]) => minutes >= toMinutes(window.start) && minutes < toMinutes(window.end));
+    return match ? match[0] : null;
+};
+
+export const isOfferedOnDay = (food, date) => {
+    const { weekdays = [], dates = [] } = food.schedule || {};
+    if (weekdays.length === 0 && dates.length === 0) {
+        return true;
+    }
+    return weekdays.includes(date.getDay()) || dates.includes(toDateKey(date));
+};
+
+// Whether the item can be ordered at this moment
+export const isOfferedAt = (food, date, windows = serviceWindows) => {
+    const { periods = [] } = food.schedule || {};
+    if (!isOfferedOnDay(food, date)) {
+        return false;
+    }
+    return periods.length === 0 || periods.includes(getServicePeriod(date, windows));
+};
+
+// MongoDB filter matching the same rules as isOfferedOnDay, plus the given
+// period when there is one. `period: null` means between services, where
+// only items without period restrictions are offered.
+export const buildScheduleQuery = (date, { period } = {}) => {
+    const conditions = [{
+        $or: [
+            { 'schedule.weekdays.0': { $exists: false }, 'schedule.dates.0': { $exists: false } },
+            { 'schedule.weekdays': date.getDay() },
+            { 'schedule.dates': toDateKey(date) }
+        ]
+    }];
+
+    if (period !== undefined) {
+        const periodConditions = [{ 'schedule.periods.0': { $exists: false } }];
+        if (period) {
+            periodConditions.push({ 'schedule.periods': period });
+        }
+        conditions.push({ $or: periodConditions });
+    }
+
+    return { $and: conditions };
+};
@@ -0,0 +1,62 @@
+import { EventEmitter } from 'events';
+
+// In-process order event bus. Events only reach clients connected to the
+// same server instance; a multi-instance deployment would need a shared
+// broker (e.g. Redis pub/sub) behind the same publish/subscribe functions.
+const orderEvents = new EventEmitter();
+orderEvents.setMaxListeners(0);
+
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+const toEventPayload = (type, order, changes = []) => ({
+    type,
+    changes,
+    order: {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        userId: order.userId,
+        items: order.items,
+        totalAmount: order.totalAmount,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        createdAt: order.createdAt,
+        updatedAt: order.updatedAt
+    }
+});
+
+export const publishOrderCreated = (order) => {
+    orderEvents.emit('order', toEventPayload('order.created', order));
+};
+
+// Publishes only when status or paymentStatus actually changed
+export const publishOrderUpdated = (previous, order) => {
+    const changes = ['status', 'paymentStatus'].filter(field => previous[field] !== order[field]);
+    if (changes.length > 0) {
+        orderEvents.emit('order', toEventPayload('order.updated', order, changes));
+    }
+};
+
+// Serve order events matching `filter` as a Server-Sent Events stream
+export const streamOrderEvents = (req, res, filter = () => true) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('event: connected\ndata: {}\n\n');
+
+    const listener = (event) => {
+        if (filter(event)) {
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+    };
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+    orderEvents.on('order', listener);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        orderEvents.off('order', listener);
+    });
+};
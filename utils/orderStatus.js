@@ -0,0 +1,24 @@
+// Order status lifecycle
+//
+// Food Processing → Confirmed → Preparing → Out for delivery → Delivered
+// Any status before 'Out for delivery' can also move to 'Cancelled'.
+
+export const ORDER_STATUSES = ['Food Processing', 'Confirmed', 'Preparing', 'Out for delivery', 'Delivered', 'Cancelled'];
+
+export const ORDER_STATUS_TRANSITIONS = {
+    'Food Processing': ['Confirmed', 'Cancelled'],
+    'Confirmed': ['Preparing', 'Cancelled'],
+    'Preparing': ['Out for delivery', 'Cancelled'],
+    'Out for delivery': ['Delivered'],
+    'Delivered': [],
+    'Cancelled': []
+};
+
+export const isFinalStatus = (status) => ORDER_STATUS_TRANSITIONS[status]?.length === 0;
+
+export const canTransition = (from, to) => {
+    return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Customers may only cancel before the kitchen starts preparing
+export const CUSTOMER_CANCELLABLE_STATUSES = ['Food Processing', 'Confirmed'];
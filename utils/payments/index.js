@@ -0,0 +1,68 @@
+import mockProvider from './mockProvider.js';
+
+// Payment provider registry
+//
+// A provider is an object with:
+//   name                                   - key used in PAYMENT_PROVIDER and the webhook URL
+//   createPaymentIntent({ amount, currency, orderId })
+//                                          - resolves to { id, clientSecret, status }
+//   refund({ paymentId, amount })          - resolves to { id, status: 'succeeded' | 'pending' }
+//   parseWebhook({ rawBody, headers })     - verifies the signature and returns
+//                                            { id, type, paymentId } or throws
+//
+// Webhook event types are normalised to the PAYMENT_EVENTS values below.
+//
+// The mock provider lets anyone holding its webhook secret mark orders paid,
+// so it is never available when NODE_ENV=production. Without a provider
+// online payments are switched off and orders are paid from the wallet.
+
+export const PAYMENT_EVENTS = {
+    SUCCEEDED: 'payment.succeeded',
+    FAILED: 'payment.failed',
+    REFUNDED: 'refund.succeeded'
+};
+
+export const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'usd';
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+const providers = new Map();
+
+export const registerPaymentProvider = (provider) => {
+    if (provider === mockProvider && isProduction()) {
+        throw new Error('The mock payment provider cannot be used in production');
+    }
+    providers.set(provider.name, provider);
+};
+
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || (isProduction() ? undefined : 'mock')) => {
+    if (!name) {
+        throw new Error('PAYMENT_PROVIDER is not set');
+    }
+    const provider = providers.get(name);
+    if (!provider || (provider === mockProvider && isProduction())) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+    return provider;
+};
+
+export const isOnlinePaymentEnabled = () => {
+    try {
+        getPaymentProvider();
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Why the payment setup cannot be used, or null when it is fine
+export const getPaymentConfigProblem = () => {
+    if (providers.has(mockProvider.name) && !mockProvider.hasSecret()) {
+        return 'MOCK_PAYMENT_WEBHOOK_SECRET is not set';
+    }
+    return null;
+};
+
+if (!isProduction()) {
+    registerPaymentProvider(mockProvider);
+}
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+
+// Offline payment provider for development and tests. Nothing is charged;
+// payments are completed by posting a signed webhook, which signWebhook()
+// can produce.
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Required outside production; the server refuses to start without it
+// (see getPaymentConfigProblem)
+const getSecret = () => {
+    if (!process.env.MOCK_PAYMENT_WEBHOOK_SECRET) {
+        throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET is not set');
+    }
+    return process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+};
+
+const computeSignature = (timestamp, rawBody) => {
+    return crypto.createHmac('sha256', getSecret()).update(`${timestamp}.${rawBody}`).digest('hex');
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+const mockProvider = {
+    name: 'mock',
+
+    hasSecret() {
+        return Boolean(process.env.MOCK_PAYMENT_WEBHOOK_SECRET);
+    },
+
+    async createPaymentIntent({ amount, currency, orderId }) {
+        const id = randomId('mock_pi');
+        return {
+            id,
+            clientSecret: `${id}_secret_${orderId}`,
+            status: 'requires_payment',
+            amount,
+            currency
+        };
+    },
+
+    async refund({ paymentId }) {
+        return { id: randomId('mock_re'), paymentId, status: 'succeeded' };
+    },
+
+    parseWebhook({ rawBody, headers }) {
+        const header = headers[SIGNATURE_HEADER] || '';
+        const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+        const timestamp = parseInt(parts.t);
+
+        if (!timestamp || !parts.v1) {
+            throw new Error('Missing webhook signature');
+        }
+        if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+            throw new Error('Webhook signature has expired');
+        }
+
+        const expected = Buffer.from(computeSignature(timestamp, rawBody));
+        const received = Buffer.from(parts.v1);
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw new Error('Invalid webhook signature');
+        }
+
+        const event = JSON.parse(rawBody);
+        return { id: event.id, type: event.type, paymentId: event.paymentId };
+    },
+
+    // Build a signed webhook request body and headers for the given event
+    signWebhook({ type, paymentId }) {
+        const rawBody = JSON.stringify({ id: randomId('mock_evt'), type, paymentId });
+        const timestamp = Math.floor(Date.now() / 1000);
+        return {
+            rawBody,
+            headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${computeSignature(timestamp, rawBody)}` }
+        };
+    }
+};
+
+export default mockProvider;
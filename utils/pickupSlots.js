@@ -0,0 +1,36 @@
+import { pickupConfig } from '../config/fulfilment.js';
+import { toDateKey, toMinutes } from './dates.js';
+
+// Pickup slot calendar
+//
+// Slots are fixed-length windows between the opening and closing time, in
+// server local time, identified by their start Date.
+
+// All slot start times for the calendar day containing `date`
+export const getSlotStarts = (date, config = pickupConfig) => {
+    const dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    const starts = [];
+
+    for (let minute = toMinutes(config.openingTime);
+        minute + config.slotMinutes <= toMinutes(config.closingTime);
+        minute += config.slotMinutes) {
+        starts.push(new Date(dayStart.getTime() + minute * 60000));
+    }
+    return starts;
+};
+
+export const getSlotEnd = (start, config = pickupConfig) => {
+    return new Date(start.getTime() + config.slotMinutes * 60000);
+};
+
+export const isSlotStart = (start, config = pickupConfig) => {
+    return getSlotStarts(start, config).some(slot => slot.getTime() === start.getTime());
+};
+
+// Slots must be a real slot boundary, start far enough in the future and be
+// today: stock is reserved from today's portions and the menu checked for now
+export const isSlotBookable = (start, now = new Date(), config = pickupConfig) => {
+    return isSlotStart(start, config) &&
+        toDateKey(start) === toDateKey(now) &&
+        start.getTime() >= now.getTime() + config.minLeadMinutes * 60000;
+};
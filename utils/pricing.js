@@ -0,0 +1,71 @@
+import { pricingConfig } from '../config/pricing.js';
+
+// Pricing engine
+//
+// Turns priced cart lines into an itemized breakdown. Everything that shows
+// or charges money (cart preview, order placement) must go through
+// calculatePricing so the numbers always agree.
+
+export const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export const calculateSubtotal = (items) => {
+    return roundMoney(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+};
+
+export const getTaxRate = (category, config = pricingConfig) => {
+    return config.tax.categoryRates[category] ?? config.tax.defaultRate;
+};
+
+// Pickup orders never pay delivery; desk and home delivery pay their flat
+// fee, optionally waived once the discounted amount reaches a threshold.
+// Only an empty cart is free, not one a coupon has brought down to zero.
+export const calculateDeliveryFee = (subtotal, fulfilmentType = 'delivery', config = pricingConfig, discount = 0) => {
+    if (subtotal <= 0 || fulfilmentType === 'pickup') {
+        return 0;
+    }
+    if (config.delivery.freeAbove != null && subtotal - discount >= config.delivery.freeAbove) {
+        return 0;
+    }
+    return fulfilmentType === 'desk' ? config.delivery.deskFee : config.delivery.fee;
+};
+
+// items: [{ price, quantity, category, ...anything else to carry through }]
+// discountCategories: categories the discount applies to, null for all
+export const calculatePricing = ({ items, discount = 0, discountCategories = null, fulfilmentType = 'delivery' }, config = pricingConfig) => {
+    const subtotal = calculateSubtotal(items);
+    const isDiscounted = (item) => !discountCategories || discountCategories.includes(item.category);
+    const discountedSubtotal = calculateSubtotal(items.filter(isDiscounted));
+    discount = roundMoney(Math.min(Math.max(discount, 0), discountedSubtotal));
+
+    // Tax is charged on the discounted amount, with the discount spread
+    // proportionally across the lines it applies to
+    const discountRatio = discountedSubtotal > 0 ? (discountedSubtotal - discount) / discountedSubtotal : 0;
+    const taxByCategory = new Map();
+
+    const lines = items.map(item => {
+        const lineTotal = roundMoney(item.price * item.quantity);
+        const taxRate = getTaxRate(item.category, config);
+        const taxableAmount = isDiscounted(item) ? lineTotal * discountRatio : lineTotal;
+
+        const entry = taxByCategory.get(item.category) || { category: item.category, rate: taxRate, taxableAmount: 0 };
+        entry.taxableAmount += taxableAmount;
+        taxByCategory.set(item.category, entry);
+
+        return { ...item, lineTotal, taxRate };
+    });
+
+    const taxBreakdown = [...taxByCategory.values()]
+        .filter(entry => entry.rate > 0)
+        .map(entry => ({
+            category: entry.category,
+            rate: entry.rate,
+            taxableAmount: roundMoney(entry.taxableAmount),
+            tax: roundMoney(entry.taxableAmount * entry.rate)
+        }));
+    const tax = roundMoney(taxBreakdown.reduce((sum, entry) => sum + entry.tax, 0));
+
+    const deliveryFee = calculateDeliveryFee(subtotal, fulfilmentType, config, discount);
+    const total = items.length > 0 ? roundMoney(subtotal - discount + tax + deliveryFee) : 0;
+
+    return { lines, subtotal, discount, taxBreakdown, tax, deliveryFee, total };
+};
@@ -0,0 +1,91 @@
+// Request body validation
+//
+// A schema maps field names to rules:
+//   { type, required, default, enum, min, max, minLength, maxLength, trim, items, fields }
+// where type is one of string, integer, number, boolean, objectId, array or
+// object. items is the rule for array elements and fields the schema for a
+// nested object. Types are strict: "2" is not an integer.
+//
+// validate() returns { value, errors }. value only holds the fields named in
+// the schema, with strings trimmed (unless trim is false, as for passwords)
+// and defaults filled in.
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+const TYPES = {
+    string: { check: value => typeof value === 'string', description: 'text' },
+    integer: { check: value => Number.isInteger(value), description: 'a whole number' },
+    number: { check: value => typeof value === 'number' && Number.isFinite(value), description: 'a number' },
+    boolean: { check: value => typeof value === 'boolean', description: 'true or false' },
+    objectId: { check: value => typeof value === 'string' && OBJECT_ID_PATTERN.test(value), description: 'a valid id' },
+    array: { check: value => Array.isArray(value), description: 'a list' },
+    object: { check: value => value !== null && typeof value === 'object' && !Array.isArray(value), description: 'an object' }
+};
+
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+const checkValue = (path, value, rule, errors) => {
+    const type = TYPES[rule.type];
+    if (!type) {
+        throw new Error(`Unknown validation type for ${path}: ${rule.type}`);
+    }
+    if (!type.check(value)) {
+        errors.push(`${path} must be ${type.description}`);
+        return undefined;
+    }
+
+    if (rule.type === 'string' && rule.trim !== false) {
+        value = value.trim();
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${rule.enum.join(', ')}`);
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        errors.push(`${path} must be at least ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        errors.push(`${path} must be at most ${rule.max}`);
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        errors.push(`${path} must have at least ${rule.minLength} ${rule.type === 'array' ? 'items' : 'characters'}`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        errors.push(`${path} must have at most ${rule.maxLength} ${rule.type === 'array' ? 'items' : 'characters'}`);
+    }
+
+    if (rule.type === 'array' && rule.items) {
+        return value.map((item, index) => checkValue(`${path}[${index}]`, item, rule.items, errors));
+    }
+    if (rule.type === 'object' && rule.fields) {
+        return checkFields(value, rule.fields, errors, `${path}.`);
+    }
+    return value;
+};
+
+const checkFields = (data, schema, errors, prefix = '') => {
+    const value = {};
+
+    for (const [name, rule] of Object.entries(schema)) {
+        const path = prefix + name;
+
+        if (isMissing(data[name])) {
+            if (rule.required) {
+                errors.push(`${path} is required`);
+            } else if (rule.default !== undefined) {
+                // Copied so callers cannot change a shared default
+                value[name] = typeof rule.default === 'object' ? structuredClone(rule.default) : rule.default;
+            }
+            continue;
+        }
+
+        value[name] = checkValue(path, data[name], rule, errors);
+    }
+
+    return value;
+};
+
+export const validate = (schema, data) => {
+    const errors = [];
+    const value = checkFields(TYPES.object.check(data) ? data : {}, schema, errors);
+    return { value, errors };
+};